@@ -0,0 +1,172 @@
+/**
+ * Service Worker
+ *
+ * Makes the app work offline after the first visit:
+ * - The default models are precached on install; other models are cached
+ *   the first time they are loaded.
+ * - Pages are served network first, falling back to the cached copy.
+ * - Next.js build assets have content hashes in their names, so they are
+ *   served cache first.
+ *
+ * Caches are versioned. Bump SHELL_VERSION to drop cached pages and assets,
+ * or MODELS_VERSION to drop every cached model. Each model's model.json is
+ * also revalidated whenever the network is reachable: if it changed, that
+ * model's cached shards are discarded so the new weights are fetched.
+ *
+ * Registered by lib/serviceWorker.js in production builds only.
+ */
+
+const SHELL_VERSION = 2;
+const MODELS_VERSION = 1;
+
+const CACHE_PREFIX = 'facetracker-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${SHELL_VERSION}`;
+const MODEL_CACHE = `${CACHE_PREFIX}models-v${MODELS_VERSION}`;
+
+const MODEL_PATH = '/models/';
+
+// Pages and static files every visit needs
+const SHELL_URLS = [
+  '/',
+  '/replay',
+  '/stream',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/filters/masquerade.svg',
+  '/filters/party-hat.svg',
+  '/filters/sunglasses.svg'
+];
+
+// The models loaded with the default detector settings
+const MODEL_URLS = [
+  '/models/tiny_face_detector/model.json',
+  '/models/tiny_face_detector/tiny_face_detector_model-shard1',
+  '/models/face_landmark_68/model.json',
+  '/models/face_landmark_68/face_landmark_68_model-shard1'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const [shell, models] = await Promise.all([caches.open(SHELL_CACHE), caches.open(MODEL_CACHE)]);
+    await Promise.all([shell.addAll(SHELL_URLS), models.addAll(MODEL_URLS)]);
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Drop caches left by earlier versions
+    const current = [SHELL_CACHE, MODEL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (event.data?.type === 'cache-urls') {
+    // Assets the page loaded before this worker controlled it
+    event.waitUntil(cacheUrls(event.data.urls));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (url.pathname.startsWith(MODEL_PATH)) {
+    event.respondWith(url.pathname.endsWith('/model.json') ? revalidateManifest(request) : cacheFirst(request, MODEL_CACHE));
+  } else if (url.pathname.startsWith('/_next/static/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Serve from the cache, fetching and caching on a miss
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+/**
+ * Serve from the network, falling back to the cache when offline
+ *
+ * Pages with a query string fall back to the same page without it, then to
+ * the home page, so any URL of the app opens offline.
+ */
+const networkFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const url = new URL(request.url);
+    const cached = await cache.match(request)
+      ?? await cache.match(url.pathname)
+      ?? await cache.match('/');
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+/**
+ * Serve a model.json from the network when possible, discarding the model's
+ * cached shards if the manifest changed
+ */
+const revalidateManifest = async (request) => {
+  const cache = await caches.open(MODEL_CACHE);
+  const cached = await cache.match(request);
+
+  let response;
+  try {
+    response = await fetch(request, { cache: 'no-cache' });
+  } catch (err) {
+    if (cached) return cached;
+    throw err;
+  }
+  if (!response.ok) return cached ?? response;
+
+  const fresh = await response.clone().text();
+  if (cached && (await cached.text()) !== fresh) {
+    const directory = new URL(request.url).pathname.replace(/model\.json$/, '');
+    const keys = await cache.keys();
+    await Promise.all(keys
+      .filter(key => new URL(key.url).pathname.startsWith(directory))
+      .map(key => cache.delete(key)));
+  }
+  await cache.put(request, response.clone());
+  return response;
+};
+
+/**
+ * Cache same-origin static assets reported by the page
+ */
+const cacheUrls = async (urls = []) => {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(urls
+    .map(href => new URL(href, self.location.origin))
+    .filter(url => url.origin === self.location.origin && url.pathname.startsWith('/_next/static/'))
+    .map(async (url) => {
+      if (await cache.match(url.href)) return;
+      try {
+        await cache.add(url.href);
+      } catch {
+        // Missing assets are fetched again on the next visit
+      }
+    }));
+};
@@ -0,0 +1,92 @@
+"use client";
+
+import React from 'react';
+
+/**
+ * AutoRecordSettings Component
+ *
+ * Collapsible panel that arms face-triggered recording and sets when clips
+ * start and stop.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current automatic recording settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {boolean} props.disabled - True while a manual recording is running
+ * @param {boolean} props.recording - True while a triggered clip is being recorded
+ */
+const AutoRecordSettings = ({ settings, onChange, disabled, recording }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Automatic Recording
+        {settings.enabled && (
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {recording ? 'Recording clip' : 'Waiting for a face'}
+          </span>
+        )}
+      </summary>
+
+      <label className="flex items-center space-x-2 mt-4 text-sm font-medium text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+          className="w-4 h-4"
+        />
+        <span>Record a clip whenever a face appears</span>
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Stop After No Face: {settings.stopAfterMs / 1000} s</span>
+          <input
+            type="range"
+            min="1000"
+            max="60000"
+            step="1000"
+            value={settings.stopAfterMs}
+            onChange={(e) => update({ stopAfterMs: Number(e.target.value) })}
+          />
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">
+            Pre-Roll: {settings.preRollMs > 0 ? `${settings.preRollMs / 1000} s` : 'Off'}
+          </span>
+          <input
+            type="range"
+            min="0"
+            max="10000"
+            step="1000"
+            value={settings.preRollMs}
+            onChange={(e) => update({ preRollMs: Number(e.target.value) })}
+            disabled={recording}
+          />
+          <span className="text-xs text-gray-500">Keeps recording in the background so clips include the moments before the face appeared.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Max Clip Length: {settings.maxClipMs / 1000} s</span>
+          <input
+            type="range"
+            min="10000"
+            max="600000"
+            step="10000"
+            value={settings.maxClipMs}
+            onChange={(e) => update({ maxClipMs: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Longer visits are split into several clips.</span>
+        </label>
+      </div>
+
+      <p className="mt-4 text-xs text-gray-500">
+        Each clip is saved to the session library as its own recording. Arming is not remembered across reloads.
+      </p>
+    </details>
+  );
+};
+
+export default AutoRecordSettings;
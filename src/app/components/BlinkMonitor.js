@@ -0,0 +1,136 @@
+"use client";
+
+import React from 'react';
+
+/**
+ * Readable descriptions of blink events
+ */
+const EVENT_LABELS = {
+  'blink': 'Blink',
+  'eyes-closed': 'Eyes closed (alert)',
+  'eyes-opened': 'Eyes reopened',
+  'blink-rate': 'High blink rate (alert)'
+};
+
+/**
+ * One-line description of a blink event
+ *
+ * @param {Object} event
+ * @returns {string}
+ */
+const describeBlinkEvent = (event) => {
+  const details = event.type === 'blink-rate' ? `${event.rate}/min` : `${event.duration} ms`;
+  return `${EVENT_LABELS[event.type] ?? event.type} · #${event.trackId} · ${details}`;
+};
+
+/**
+ * BlinkMonitor Component
+ *
+ * Collapsible panel with blink detection settings, a live readout for the
+ * main face and the most recent events.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current blink settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {Object|null} props.status - Eye state of the main face, from the blink detector
+ * @param {Array} props.events - Recent events, newest first, each with a wall-clock `at`
+ */
+const BlinkMonitor = ({ settings, onChange, status, events }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Blink &amp; Drowsiness
+        {settings.enabled && <span className="ml-2 text-sm font-normal text-gray-500">On</span>}
+      </summary>
+
+      <label className="flex items-center space-x-2 mt-4 text-sm font-medium text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          className="w-4 h-4"
+        />
+        <span>Monitor blinks and eye closure</span>
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Closed Below EAR: {settings.earThreshold.toFixed(2)}</span>
+          <input
+            type="range"
+            min="0.1"
+            max="0.35"
+            step="0.01"
+            value={settings.earThreshold}
+            onChange={(e) => update({ earThreshold: Number(e.target.value) })}
+            disabled={!settings.enabled}
+          />
+          <span className="text-xs text-gray-500">Raise it if blinks are missed, lower it if open eyes count as closed.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Alert After Eyes Closed: {(settings.closedAlertMs / 1000).toFixed(1)} s</span>
+          <input
+            type="range"
+            min="500"
+            max="10000"
+            step="250"
+            value={settings.closedAlertMs}
+            onChange={(e) => update({ closedAlertMs: Number(e.target.value) })}
+            disabled={!settings.enabled}
+          />
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">
+            Alert At Blink Rate: {settings.blinkRateAlert > 0 ? `${settings.blinkRateAlert}/min` : 'Off'}
+          </span>
+          <input
+            type="range"
+            min="0"
+            max="60"
+            step="1"
+            value={settings.blinkRateAlert}
+            onChange={(e) => update({ blinkRateAlert: Number(e.target.value) })}
+            disabled={!settings.enabled}
+          />
+        </label>
+
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            onChange={(e) => update({ sound: e.target.checked })}
+            disabled={!settings.enabled}
+            className="w-4 h-4"
+          />
+          <span>Play a sound on alerts</span>
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <div className="mt-4 text-sm">
+          <p className="text-gray-700">
+            {status
+              ? `#${status.trackId}: EAR ${status.ear.toFixed(2)} · ${status.closed ? 'eyes closed' : 'eyes open'} · ${status.blinkRate} blinks in the last minute`
+              : 'No face to monitor.'}
+          </p>
+
+          {events.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs text-gray-600">
+              {events.map(event => (
+                <li key={`${event.at}-${event.trackId}-${event.type}`}>
+                  {new Date(event.at).toLocaleTimeString()} · {describeBlinkEvent(event)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default BlinkMonitor;
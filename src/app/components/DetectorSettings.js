@@ -0,0 +1,118 @@
+"use client";
+
+import React from 'react';
+import {
+  DETECTORS,
+  LANDMARK_MODELS,
+  INPUT_SIZES,
+  DEFAULT_DETECTOR_SETTINGS
+} from '../lib/detection';
+
+/**
+ * DetectorSettings Component
+ *
+ * Collapsible panel for trading detection accuracy against speed. Changes
+ * are reported immediately; the parent loads any new model and persists
+ * the result.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current detector settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {boolean} [props.loading=false] - A newly selected model is loading
+ * @param {boolean} [props.disabled=false] - Disable all inputs
+ */
+const DetectorSettings = ({ settings, onChange, loading = false, disabled = false }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Detector Settings
+        {loading && <span className="ml-2 text-sm font-normal text-gray-500">Loading model...</span>}
+      </summary>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Detector</span>
+          <select
+            value={settings.detector}
+            onChange={(e) => update({ detector: e.target.value })}
+            disabled={disabled}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+          >
+            {Object.entries(DETECTORS).map(([key, detector]) => (
+              <option key={key} value={key}>{detector.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Landmarks</span>
+          <select
+            value={settings.landmarkModel}
+            onChange={(e) => update({ landmarkModel: e.target.value })}
+            disabled={disabled}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+          >
+            {Object.entries(LANDMARK_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>{model.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Input Size</span>
+          <select
+            value={settings.inputSize}
+            onChange={(e) => update({ inputSize: Number(e.target.value) })}
+            disabled={disabled || settings.detector !== 'tiny'}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+          >
+            {INPUT_SIZES.map(size => (
+              <option key={size} value={size}>{size}px</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">Smaller is faster, larger finds smaller faces. Tiny detector only.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Score Threshold: {settings.scoreThreshold.toFixed(2)}</span>
+          <input
+            type="range"
+            min="0.1"
+            max="0.9"
+            step="0.05"
+            value={settings.scoreThreshold}
+            onChange={(e) => update({ scoreThreshold: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Detection Rate: {settings.detectionFps} FPS</span>
+          <input
+            type="range"
+            min="1"
+            max="30"
+            step="1"
+            value={settings.detectionFps}
+            onChange={(e) => update({ detectionFps: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </label>
+
+        <div className="flex items-end">
+          <button
+            onClick={() => onChange(DEFAULT_DETECTOR_SETTINGS)}
+            disabled={disabled}
+            className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default DetectorSettings;
@@ -0,0 +1,99 @@
+"use client";
+
+import React from 'react';
+import {
+  RESOLUTIONS,
+  FRAME_RATES,
+  NO_MICROPHONE,
+  DEFAULT_DEVICE
+} from '../lib/devices';
+
+/**
+ * DeviceSettings Component
+ *
+ * Camera, microphone, resolution and frame rate pickers. Every change is
+ * applied immediately by the parent, including during a recording.
+ *
+ * @param {Object} props
+ * @param {Object} props.preferences - Current device preferences
+ * @param {{ videoInputs: Array, audioInputs: Array }} props.devices - Available devices
+ * @param {Function} props.onChange - Called with the complete new preferences
+ * @param {boolean} [props.disabled=false] - Disable all inputs
+ */
+const DeviceSettings = ({ preferences, devices, onChange, disabled = false }) => {
+  const update = (changes) => onChange({ ...preferences, ...changes });
+  const selectClassName = 'border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100';
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Camera &amp; Microphone
+      </summary>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Camera</span>
+          <select
+            value={preferences.videoDeviceId}
+            onChange={(e) => update({ videoDeviceId: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value={DEFAULT_DEVICE}>Default camera</option>
+            {devices.videoInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Microphone</span>
+          <select
+            value={preferences.audioDeviceId}
+            onChange={(e) => update({ audioDeviceId: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value={NO_MICROPHONE}>No microphone</option>
+            <option value={DEFAULT_DEVICE}>Default microphone</option>
+            {devices.audioInputs.map(device => (
+              <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">Recordings include audio from the selected microphone.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Resolution</span>
+          <select
+            value={preferences.resolution}
+            onChange={(e) => update({ resolution: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {RESOLUTIONS.map(resolution => (
+              <option key={resolution.value} value={resolution.value}>{resolution.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Frame Rate</span>
+          <select
+            value={preferences.frameRate}
+            onChange={(e) => update({ frameRate: Number(e.target.value) })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate} FPS</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">The camera may deliver a lower rate than requested.</span>
+        </label>
+      </div>
+    </details>
+  );
+};
+
+export default DeviceSettings;
@@ -0,0 +1,112 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from 'react';
+import { EXPRESSIONS } from '../lib/landmarkExport';
+
+const EXPRESSION_COLORS = {
+  neutral: '#9ca3af',
+  happy: '#22c55e',
+  sad: '#3b82f6',
+  angry: '#ef4444',
+  fearful: '#a855f7',
+  disgusted: '#84cc16',
+  surprised: '#f59e0b'
+};
+
+// Redraw rate of the chart; detections arrive faster but 4 Hz reads smoothly
+const REDRAW_INTERVAL = 250;
+
+/**
+ * ExpressionTimeline Component
+ *
+ * Rolling strip chart of the dominant expression of the primary face,
+ * with each expression's share of the whole session in the legend.
+ * Samples are read from a ref that the detection loop appends to, so new
+ * detections do not re-render the recorder.
+ *
+ * @param {Object} props
+ * @param {{ current: Array<{ t: number, expression: string|null }> }} props.samplesRef
+ * @param {number} [props.windowSeconds=60] - Visible time window
+ */
+const ExpressionTimeline = ({ samplesRef, windowSeconds = 60 }) => {
+  const canvasRef = useRef(null);
+  const [shares, setShares] = useState({});
+
+  useEffect(() => {
+    const draw = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+
+      // Keep the backing store in sync with the rendered width
+      const width = canvas.clientWidth * window.devicePixelRatio;
+      const height = canvas.clientHeight * window.devicePixelRatio;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+
+      const samples = samplesRef.current;
+      const now = performance.now();
+      const windowMs = windowSeconds * 1000;
+      const counts = {};
+
+      samples.forEach((sample, i) => {
+        if (!sample.expression) return;
+        counts[sample.expression] = (counts[sample.expression] || 0) + 1;
+
+        if (sample.t < now - windowMs) return;
+        const next = samples[i + 1]?.t ?? now;
+        const x = ((sample.t - (now - windowMs)) / windowMs) * width;
+        const w = Math.max(((next - sample.t) / windowMs) * width, 1);
+        ctx.fillStyle = EXPRESSION_COLORS[sample.expression];
+        ctx.fillRect(x, 0, w, height);
+      });
+
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      setShares(
+        Object.fromEntries(EXPRESSIONS.map(name => [name, total ? (counts[name] || 0) / total : 0]))
+      );
+    };
+
+    draw();
+    const timer = setInterval(draw, REDRAW_INTERVAL);
+    return () => clearInterval(timer);
+  }, [samplesRef, windowSeconds]);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-800">Expression Timeline</h3>
+        <button
+          onClick={() => {
+            samplesRef.current = [];
+          }}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Reset
+        </button>
+      </div>
+
+      <canvas ref={canvasRef} className="w-full h-8 bg-white rounded border border-gray-200" />
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>-{windowSeconds}s</span>
+        <span>now</span>
+      </div>
+
+      {/* Legend with session share */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-700">
+        {EXPRESSIONS.map(name => (
+          <span key={name} className="flex items-center space-x-1">
+            <span className="w-3 h-3 rounded-sm inline-block" style={{ backgroundColor: EXPRESSION_COLORS[name] }} />
+            <span>{name} {Math.round((shares[name] || 0) * 100)}%</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ExpressionTimeline;
@@ -0,0 +1,281 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  listPeople,
+  addPerson,
+  renamePerson,
+  deletePerson,
+  exportGallery,
+  importGallery
+} from '../lib/faceGallery';
+import { computeDescriptor, createThumbnail } from '../lib/recognition';
+import { downloadBlob, fileTimestamp } from '../lib/download';
+
+// Snapshots collected per person during enrollment
+const MAX_SNAPSHOTS = 5;
+
+/**
+ * FaceGallery Component
+ *
+ * Enrollment and management of known people for face recognition.
+ * Snapshots are taken from the live camera; only descriptors and a small
+ * thumbnail are stored, in IndexedDB.
+ *
+ * @param {Object} props
+ * @param {Function} props.getVideo - Returns the live video element
+ * @param {Object} props.settings - Detector settings used for enrollment snapshots
+ * @param {Function} props.onPeopleChange - Called with the full gallery after every change
+ * @param {boolean} [props.disabled=false] - Disable enrollment (e.g. camera not ready)
+ */
+const FaceGallery = ({ getVideo, settings, onPeopleChange, disabled = false }) => {
+  const importInputRef = useRef(null);
+
+  const [people, setPeople] = useState([]);
+  const [name, setName] = useState('');
+  const [snapshots, setSnapshots] = useState([]);
+  const [thumbnail, setThumbnail] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Reload the gallery from IndexedDB and notify the parent
+   */
+  const refresh = useCallback(async () => {
+    try {
+      const stored = await listPeople();
+      setPeople(stored);
+      onPeopleChange(stored);
+    } catch (err) {
+      console.error('Error loading face gallery:', err);
+      setMessage('Unable to open the local face gallery.');
+    }
+  }, [onPeopleChange]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Capture one enrollment snapshot from the live camera
+   */
+  const captureSnapshot = useCallback(async () => {
+    const video = getVideo();
+    if (!video) return;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await computeDescriptor(video, settings);
+      if (!result) {
+        setMessage('No face found. Look at the camera and try again.');
+        return;
+      }
+
+      if (!thumbnail) {
+        setThumbnail(createThumbnail(video, result.detection.box));
+      }
+      setSnapshots(prev => [...prev, result.descriptor]);
+    } catch (err) {
+      console.error('Snapshot error:', err);
+      setMessage('Failed to capture snapshot.');
+    } finally {
+      setBusy(false);
+    }
+  }, [getVideo, settings, thumbnail]);
+
+  /**
+   * Discard the snapshots collected so far
+   */
+  const resetEnrollment = useCallback(() => {
+    setName('');
+    setSnapshots([]);
+    setThumbnail(null);
+  }, []);
+
+  /**
+   * Store the person being enrolled
+   */
+  const savePerson = useCallback(async () => {
+    if (!name.trim() || snapshots.length === 0) return;
+
+    try {
+      await addPerson({ name, descriptors: snapshots, thumbnail });
+      setMessage(`Enrolled ${name.trim()}.`);
+      resetEnrollment();
+      await refresh();
+    } catch (err) {
+      console.error('Enrollment error:', err);
+      setMessage('Failed to save person.');
+    }
+  }, [name, snapshots, thumbnail, resetEnrollment, refresh]);
+
+  /**
+   * Apply an inline rename
+   */
+  const commitRename = useCallback(async () => {
+    if (!editing) return;
+
+    if (editing.name.trim()) {
+      try {
+        await renamePerson(editing.id, editing.name);
+        await refresh();
+      } catch (err) {
+        console.error('Gallery rename error:', err);
+        setMessage('Failed to rename person.');
+      }
+    }
+    setEditing(null);
+  }, [editing, refresh]);
+
+  const handleDelete = useCallback(async (person) => {
+    if (!window.confirm(`Delete ${person.name} from the gallery?`)) return;
+
+    try {
+      await deletePerson(person.id);
+      await refresh();
+    } catch (err) {
+      console.error('Gallery delete error:', err);
+      setMessage(`Failed to delete ${person.name}.`);
+    }
+  }, [refresh]);
+
+  const handleExport = useCallback(() => {
+    downloadBlob(exportGallery(people), `face_gallery_${fileTimestamp()}.json`);
+  }, [people]);
+
+  const handleImport = useCallback(async (file) => {
+    if (!file) return;
+
+    try {
+      const count = await importGallery(file);
+      setMessage(`Imported ${count} ${count === 1 ? 'person' : 'people'}.`);
+      await refresh();
+    } catch (err) {
+      console.error('Gallery import error:', err);
+      setMessage('Could not import gallery file.');
+    }
+  }, [refresh]);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <h3 className="font-semibold text-gray-800 mb-3">Known People</h3>
+
+      {/* Enrollment */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white"
+        />
+        <button
+          onClick={captureSnapshot}
+          disabled={disabled || busy || snapshots.length >= MAX_SNAPSHOTS}
+          className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-4 py-2 rounded-lg transition-colors duration-200"
+        >
+          Capture ({snapshots.length}/{MAX_SNAPSHOTS})
+        </button>
+        <button
+          onClick={savePerson}
+          disabled={!name.trim() || snapshots.length === 0}
+          className="bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-4 py-2 rounded-lg transition-colors duration-200"
+        >
+          Save Person
+        </button>
+        {snapshots.length > 0 && (
+          <button
+            onClick={resetEnrollment}
+            className="text-gray-600 hover:text-gray-800 font-medium px-2 py-2"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      {message && <p className="text-sm text-gray-600 mb-3">{message}</p>}
+
+      {/* Gallery List */}
+      {people.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No one enrolled yet. Capture a few snapshots from different angles for best results.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 mb-3">
+          {people.map(person => (
+            <li key={person.id} className="flex items-center space-x-3 py-2">
+              {person.thumbnail ? (
+                // eslint-disable-next-line @next/next/no-img-element
+                <img src={person.thumbnail} alt={person.name} className="w-10 h-10 rounded-full object-cover" />
+              ) : (
+                <div className="w-10 h-10 rounded-full bg-gray-200" />
+              )}
+
+              {editing?.id === person.id ? (
+                <input
+                  type="text"
+                  autoFocus
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditing(null);
+                  }}
+                  className="flex-1 border border-gray-300 rounded px-2 py-1 text-gray-800"
+                />
+              ) : (
+                <span className="flex-1 text-gray-800">
+                  {person.name}
+                  <span className="text-xs text-gray-500 ml-2">{person.descriptors.length} snapshots</span>
+                </span>
+              )}
+
+              <button
+                onClick={() => setEditing({ id: person.id, name: person.name })}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Rename
+              </button>
+              <button
+                onClick={() => handleDelete(person)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Export / Import */}
+      <div className="flex space-x-4 text-sm">
+        <button
+          onClick={handleExport}
+          disabled={people.length === 0}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Export Gallery
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          Import Gallery
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            handleImport(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default FaceGallery;
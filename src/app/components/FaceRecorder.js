@@ -1,7 +1,165 @@
 "use client";
 
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useImperativeHandle, useMemo } from 'react';
 import * as faceapi from 'face-api.js';
+import {
+  createCompositor,
+  RECORDING_SOURCES,
+  RECORDING_SOURCE_OPTIONS
+} from '../lib/compositor';
+import { createLandmarkTrack } from '../lib/landmarkExport';
+import { fileTimestamp } from '../lib/download';
+import {
+  loadFaceModels,
+  sanitizeDetectorSettings,
+  DEFAULT_DETECTOR_SETTINGS,
+  MODEL_URL
+} from '../lib/detection';
+import { createDetectionBackend } from '../lib/detectionBackend';
+import { loadSetting, saveSetting } from '../lib/settings';
+import {
+  listMediaDevices,
+  buildConstraints,
+  createAudioBridge,
+  sanitizeDevicePreferences,
+  DEFAULT_DEVICE_PREFERENCES,
+  DEFAULT_DEVICE,
+  NO_MICROPHONE
+} from '../lib/devices';
+import { renderOverlay } from '../lib/overlay';
+import {
+  loadRecognitionModel,
+  createMatcher,
+  matchDescriptor,
+  UNKNOWN_LABEL
+} from '../lib/recognition';
+import RecordingDownloads from './RecordingDownloads';
+import RecordingEditor from './RecordingEditor';
+import VideoFileAnalyzer from './VideoFileAnalyzer';
+import { createFaceTracker } from '../lib/tracker';
+import FaceGallery from './FaceGallery';
+import ExpressionTimeline from './ExpressionTimeline';
+import DetectorSettings from './DetectorSettings';
+import DeviceSettings from './DeviceSettings';
+import SessionLibrary from './SessionLibrary';
+import RedactionSettings from './RedactionSettings';
+import FilterPicker from './FilterPicker';
+import { FILTERS, loadFilter } from '../lib/filters';
+import BlinkMonitor from './BlinkMonitor';
+import {
+  createBlinkDetector,
+  sanitizeBlinkSettings,
+  playAlertSound,
+  DEFAULT_BLINK_SETTINGS
+} from '../lib/blinks';
+import { createSessionLog } from '../lib/sessionLog';
+import AutoRecordSettings from './AutoRecordSettings';
+import {
+  createPreRoll,
+  sanitizeAutoRecordSettings,
+  DEFAULT_AUTO_RECORD_SETTINGS
+} from '../lib/autoRecord';
+import SmoothingSettings from './SmoothingSettings';
+import {
+  createFaceSmoother,
+  sanitizeSmoothingSettings,
+  DEFAULT_SMOOTHING_SETTINGS,
+  EXPORT_SOURCES
+} from '../lib/smoothing';
+import FramingSettings from './FramingSettings';
+import {
+  createAutoFramer,
+  createVirtualCamera,
+  facesInCrop,
+  framingAspect,
+  sanitizeFramingSettings,
+  DEFAULT_FRAMING_SETTINGS
+} from '../lib/autoFraming';
+import StreamSettings from './StreamSettings';
+import {
+  createDetectionPublisher,
+  sanitizeStreamSettings,
+  DEFAULT_STREAM_SETTINGS,
+  SOCKET_STATES
+} from '../lib/detectionStream';
+import SessionReport from './SessionReport';
+import ModelLoadStatus from './ModelLoadStatus';
+import SnapshotPanel from './SnapshotPanel';
+import { grabShot, renderShot, canvasToBlob } from '../lib/snapshots';
+import {
+  createRedactionTrack,
+  drawRedactions,
+  sanitizeRedactionSettings,
+  DEFAULT_REDACTION_SETTINGS
+} from '../lib/redaction';
+import { saveSession, createSessionThumbnail } from '../lib/sessionLibrary';
+import {
+  CONTAINERS,
+  BITRATES,
+  DEFAULT_RECORDING_PREFERENCES,
+  sanitizeRecordingPreferences,
+  negotiateFormat,
+  createRecorder,
+  recordedBlobType
+} from '../lib/recordingFormats';
+
+const DETECTOR_SETTINGS_KEY = 'detectorSettings';
+const DEVICE_PREFERENCES_KEY = 'devicePreferences';
+const RECORDING_PREFERENCES_KEY = 'recordingPreferences';
+const REDACTION_SETTINGS_KEY = 'redactionSettings';
+const BLINK_SETTINGS_KEY = 'blinkSettings';
+const AUTO_RECORD_SETTINGS_KEY = 'autoRecordSettings';
+const SMOOTHING_SETTINGS_KEY = 'smoothingSettings';
+const FRAMING_SETTINGS_KEY = 'framingSettings';
+const STREAM_SETTINGS_KEY = 'streamSettings';
+
+// File name prefixes for manual recordings and face-triggered clips
+const RECORDING_PREFIX = 'face_recording';
+const AUTO_CLIP_PREFIX = 'face_clip';
+
+// Blink events listed in the monitor panel
+const RECENT_EVENT_COUNT = 5;
+
+// Tallest the preview gets, so portrait framing fits on screen
+const MAX_STAGE_HEIGHT = 600;
+
+// How often the recording clock is refreshed; finer than a second so it
+// stops promptly on pause
+const RECORDING_TIMER_INTERVAL = 250;
+
+// Minimum time between latency readout updates, to avoid re-rendering every tick
+const LATENCY_DISPLAY_INTERVAL = 500;
+
+/**
+ * Optional analysis layers and the model directory each one needs
+ */
+const ANALYSIS_LAYERS = [
+  { key: 'expressions', label: 'Expressions', directory: 'face_expression' },
+  { key: 'ageGender', label: 'Age & Gender', directory: 'age_gender_model' }
+];
+
+/**
+ * Overlay layers drawn when the host does not choose
+ */
+const DEFAULT_OVERLAY_OPTIONS = {
+  boxes: true,
+  labels: true,
+  landmarks: true,
+  attributes: true,
+  pose: false
+};
+
+/**
+ * The face with the largest box, or null
+ *
+ * @param {Array} faces - Face records
+ * @returns {Object|null}
+ */
+const largestFace = (faces) => faces.reduce((largest, face) =>
+  !largest || face.box.width * face.box.height > largest.box.width * largest.box.height
+    ? face
+    : largest
+, null);
 
 /**
  * FaceRecorder Component
@@ -9,28 +167,160 @@ import * as faceapi from 'face-api.js';
  * A responsive React component that provides real-time face detection and recording functionality.
  * Features include:
  * - Live face detection with landmarks overlay
- * - Video recording with face detection overlay
+ * - Video recording of the camera, the overlay, or both composited together
  * - Responsive design that adapts to different screen sizes
- * - Loading states and error handling
- * - Download functionality for recorded videos
+ * - Per-model download progress, error handling and retry
+ * - Download functionality for recorded videos and per-frame landmark data
+ * - Offline analysis of existing video files
+ * - Optional face recognition against a locally stored gallery
+ * - Optional expression and age/gender analysis with a live expression timeline
+ * - Persistent per-person IDs across frames
+ * - Runtime detector settings persisted in localStorage
+ * - Inference in a Web Worker when supported, with main-thread fallback
+ * - Hot-swappable camera and microphone selection with audio in recordings
+ * - Codec negotiation with a choice of container and bitrate
+ * - A local session library of past recordings in IndexedDB
+ * - Optional blurring, pixelation or blacking out of faces in recordings
+ * - Landmark-anchored face filters
+ * - Head pose (yaw/pitch/roll) readout and axis gizmo
+ * - Blink and drowsiness alerts, logged with each recording
+ * - Attention and presence report after each recording
+ * - Face-triggered clips with pre-roll and a maximum length
+ * - Snapshots and bursts with aligned face crops
+ * - One Euro smoothing of the overlay, predicted between detection ticks
+ * - Auto-framing virtual camera in 4:3, 16:9, 1:1 or 9:16
+ * - Pause/resume and named markers while recording, with a trim/split editor
+ * - Opt-in live detection stream to other tabs and local WebSocket tools
+ *
+ * Every prop is optional, so the page can render it bare; host apps embed
+ * it with their own model path, overlays and callbacks, or headless behind
+ * their own UI. See docs/embedding.md.
+ *
+ * @param {Object} props
+ * @param {string} [props.modelUrl=MODEL_URL] - Base URL of the face-api model directory
+ * @param {Object} [props.detectorSettings] - Detector settings to start with instead of
+ *   the saved ones; read once on mount
+ * @param {Object} [props.overlay] - Overlay layers to draw: `boxes`, `labels`,
+ *   `landmarks`, `attributes` and `pose`
+ * @param {boolean} [props.headless=false] - Render only the video and overlay; recordings
+ *   are not added to the session library
+ * @param {string} [props.title] - Heading above the recorder
+ * @param {string} [props.description] - Line under the heading
+ * @param {boolean} [props.showInstructions=true] - Show the instructions list
+ * @param {Function} [props.onDetections] - Called every detection tick with the tracked
+ *   face records (raw or smoothed, like exports) and `{ t, sourceSize }`
+ * @param {Function} [props.onRecordingComplete] - Called with the video Blob and
+ *   `{ name, type, duration, landmarkFrames, events }` for every saved recording or clip
+ * @param {Function} [props.onError] - Called with an Error whenever an error is shown
+ * @param {boolean} [props.hotkeys=true] - While recording, M adds a marker and P
+ *   pauses or resumes
+ * @param {Object} [props.ref] - Receives `{ startRecording, stopRecording, pauseRecording,
+ *   resumeRecording, addMarker, snapshot, getFaces, getFramedStream, isRecording, isPaused }`
  */
-const FaceRecorder = () => {
+const FaceRecorder = ({
+  modelUrl = MODEL_URL,
+  detectorSettings,
+  overlay,
+  headless = false,
+  title = 'Face Detection Recorder',
+  description = 'Real-time face detection with recording capabilities',
+  showInstructions = true,
+  hotkeys = true,
+  onDetections,
+  onRecordingComplete,
+  onError,
+  ref
+}) => {
   // Refs for DOM elements
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  const recorderRef = useRef(null);
-  const recordedChunks = useRef([]);
+  const framedStageRef = useRef(null);
+  const takeRef = useRef(null);
+  const takesRef = useRef(new Set());
   const detectionIntervalRef = useRef(null);
   const streamRef = useRef(null);
+  const pipelineRef = useRef(null);
+  const preRollRef = useRef(null);
+  const recognitionRef = useRef(false);
+  const matcherRef = useRef(null);
+  const analysisRef = useRef({ expressions: false, ageGender: false });
+  const expressionSamplesRef = useRef([]);
+  const trackerRef = useRef(null);
+  const settingsRef = useRef(DEFAULT_DETECTOR_SETTINGS);
+  const backendRef = useRef(null);
+  const latencyUpdatedRef = useRef(0);
+  const devicePrefsRef = useRef(DEFAULT_DEVICE_PREFERENCES);
+  const audioBridgeRef = useRef(null);
+  const redactionTrackRef = useRef(null);
+  const redactionRef = useRef(DEFAULT_REDACTION_SETTINGS);
+  const exemptTrackIdsRef = useRef(new Set());
+  const visibleTracksKeyRef = useRef('');
+  const filterRef = useRef(null);
+  const showPoseRef = useRef(false);
+  const blinkSettingsRef = useRef(DEFAULT_BLINK_SETTINGS);
+  const blinkDetectorRef = useRef(null);
+  const blinkAlertKeyRef = useRef('');
+  const blinkStatusUpdatedRef = useRef(0);
+  const audioContextRef = useRef(null);
+  const smoothingRef = useRef(DEFAULT_SMOOTHING_SETTINGS);
+  const smootherRef = useRef(null);
+  const overlayFacesRef = useRef([]);
+  const displayLoopRef = useRef(false);
+  const framingRef = useRef(DEFAULT_FRAMING_SETTINGS);
+  const cameraAspectRef = useRef(4 / 3);
+  const framerRef = useRef(null);
+  const virtualCameraRef = useRef(null);
+  const streamSettingsRef = useRef(DEFAULT_STREAM_SETTINGS);
+  const publisherRef = useRef(null);
+  const initialSettingsRef = useRef(detectorSettings);
+  const overlayRef = useRef(DEFAULT_OVERLAY_OPTIONS);
+  const callbacksRef = useRef({});
+  const pipelineActionsRef = useRef({});
 
   // Component state
   const [recording, setRecording] = useState(false);
   const [videoURL, setVideoURL] = useState(null);
+  const [videoType, setVideoType] = useState('video/webm');
+  const [recordingName, setRecordingName] = useState('');
+  const [landmarkFrames, setLandmarkFrames] = useState([]);
   const [modelsLoaded, setModelsLoaded] = useState(false);
+  const [modelProgress, setModelProgress] = useState({});
+  const [modelsFailed, setModelsFailed] = useState(false);
   const [cameraReady, setCameraReady] = useState(false);
   const [error, setError] = useState(null);
   const [faceDetected, setFaceDetected] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [recordingSource, setRecordingSource] = useState(RECORDING_SOURCES.COMPOSITE);
+  const [mode, setMode] = useState('live');
+  const [recognitionEnabled, setRecognitionEnabled] = useState(false);
+  const [recognitionReady, setRecognitionReady] = useState(false);
+  const [analysis, setAnalysis] = useState({ expressions: false, ageGender: false });
+  const [settings, setSettings] = useState(DEFAULT_DETECTOR_SETTINGS);
+  const [settingsLoading, setSettingsLoading] = useState(false);
+  const [backendKind, setBackendKind] = useState(null);
+  const [latency, setLatency] = useState(null);
+  const [devicePrefs, setDevicePrefs] = useState(DEFAULT_DEVICE_PREFERENCES);
+  const [devices, setDevices] = useState({ videoInputs: [], audioInputs: [] });
+  const [recordingPrefs, setRecordingPrefs] = useState(DEFAULT_RECORDING_PREFERENCES);
+  const [formatLabel, setFormatLabel] = useState('');
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [redaction, setRedaction] = useState(DEFAULT_REDACTION_SETTINGS);
+  const [exemptTrackIds, setExemptTrackIds] = useState(() => new Set());
+  const [visibleTracks, setVisibleTracks] = useState([]);
+  const [filterId, setFilterId] = useState(null);
+  const [showPose, setShowPose] = useState(DEFAULT_OVERLAY_OPTIONS.pose);
+  const [blinkSettings, setBlinkSettings] = useState(DEFAULT_BLINK_SETTINGS);
+  const [blinkStatus, setBlinkStatus] = useState(null);
+  const [blinkAlert, setBlinkAlert] = useState(null);
+  const [recentBlinkEvents, setRecentBlinkEvents] = useState([]);
+  const [sessionEvents, setSessionEvents] = useState([]);
+  const [autoRecord, setAutoRecord] = useState(DEFAULT_AUTO_RECORD_SETTINGS);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING_SETTINGS);
+  const [framing, setFraming] = useState(DEFAULT_FRAMING_SETTINGS);
+  const [stream, setStream] = useState(DEFAULT_STREAM_SETTINGS);
+  const [streamStatus, setStreamStatus] = useState({ socket: SOCKET_STATES.OFF, retryInMs: null });
+  const [paused, setPaused] = useState(false);
+  const [markers, setMarkers] = useState([]);
 
   // Responsive video dimensions
   const [videoDimensions, setVideoDimensions] = useState({
@@ -38,13 +328,29 @@ const FaceRecorder = () => {
     height: 480
   });
 
+  /**
+   * Show an error and pass it on to the host
+   *
+   * @param {string} message - Shown to the user
+   * @param {Error} [cause] - Underlying error
+   */
+  const reportError = useCallback((message, cause) => {
+    setError(message);
+    callbacksRef.current.onError?.(new Error(message, { cause }));
+  }, []);
+
   /**
    * Calculate responsive video dimensions based on screen size
+   *
+   * The full camera frame is shown at the camera's own aspect ratio, so the
+   * preview, overlay and recordings are neither cropped nor stretched;
+   * auto-framing uses its own aspect.
    */
   const calculateDimensions = useCallback(() => {
+    const { enabled, aspect } = framingRef.current;
+    const aspectRatio = enabled ? framingAspect(aspect).ratio : cameraAspectRef.current;
     const maxWidth = Math.min(window.innerWidth - 40, 800);
-    const aspectRatio = 4 / 3;
-    const width = maxWidth;
+    const width = Math.min(maxWidth, MAX_STAGE_HEIGHT * aspectRatio);
     const height = width / aspectRatio;
     
     setVideoDimensions({ width, height });
@@ -56,49 +362,115 @@ const FaceRecorder = () => {
   const loadModels = useCallback(async () => {
     try {
       setError(null);
-      const MODEL_URL = '/models';
-      
-      // Load required models for face detection and landmarks
-      await Promise.all([
-        faceapi.nets.tinyFaceDetector.loadFromUri(`${MODEL_URL}/tiny_face_detector/model.json`),
-        faceapi.nets.faceLandmark68Net.loadFromUri(`${MODEL_URL}/face_landmark_68/model.json`)
-      ]);
+      setModelsFailed(false);
+      setModelProgress({});
+
+      // Restore saved detector settings, unless the host chose some, before loading their models
+      const saved = sanitizeDetectorSettings(initialSettingsRef.current ?? loadSetting(DETECTOR_SETTINGS_KEY, {}));
+      settingsRef.current = saved;
+      setSettings(saved);
+
+      // Load required models for face detection and landmarks. The main
+      // thread keeps its own copy for file analysis and enrollment.
+      await loadFaceModels(saved, modelUrl, ({ path, loaded, total }) => {
+        setModelProgress(current => ({ ...current, [path]: { loaded, total } }));
+      });
+
+      // Live detection runs in a worker when the browser supports it
+      backendRef.current?.terminate();
+      backendRef.current = await createDetectionBackend({
+        settings: saved,
+        layers: { recognition: false, expressions: false, ageGender: false },
+        modelUrl,
+        onFallback: setBackendKind
+      });
+      setBackendKind(backendRef.current.kind);
       
       setModelsLoaded(true);
       console.log('Face detection models loaded successfully');
     } catch (err) {
       console.error('Error loading models:', err);
-      setError('Failed to load face detection models. Please ensure model files are in the /public/models directory.');
+      setModelsFailed(true);
+      reportError(`Failed to load face detection models. Please ensure model files are in the ${modelUrl} directory.`, err);
+    }
+  }, [modelUrl, reportError]);
+
+  /**
+   * Refresh the list of available cameras and microphones
+   */
+  const refreshDevices = useCallback(async () => {
+    try {
+      setDevices(await listMediaDevices());
+    } catch (err) {
+      console.error('Error listing devices:', err);
     }
   }, []);
 
   /**
-   * Initialize camera stream
+   * Open (or reopen) the camera and microphone from device preferences
+   *
+   * Safe to call while streaming or recording: the old devices are released,
+   * the video element keeps feeding detection and the compositor, and the
+   * audio bridge is rewired to the new microphone.
+   *
+   * @param {Object} [prefs] - Device preferences, defaults to the current ones
    */
-  const startCamera = useCallback(async () => {
+  const startCamera = useCallback(async (prefs = devicePrefsRef.current) => {
     try {
       setError(null);
-      
-      // Request camera access with optimal settings
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: videoDimensions.width },
-          height: { ideal: videoDimensions.height },
-          facingMode: 'user'
-        },
-        audio: false
-      });
+
+      // Some platforms cannot open a camera that is still held by this page
+      streamRef.current?.getTracks().forEach(track => track.stop());
+
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(buildConstraints(prefs));
+      } catch (err) {
+        // A saved device may have been unplugged; fall back to the defaults
+        if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+
+        prefs = {
+          ...prefs,
+          videoDeviceId: DEFAULT_DEVICE,
+          audioDeviceId: prefs.audioDeviceId === NO_MICROPHONE ? NO_MICROPHONE : DEFAULT_DEVICE
+        };
+        stream = await navigator.mediaDevices.getUserMedia(buildConstraints(prefs));
+        devicePrefsRef.current = prefs;
+        setDevicePrefs(prefs);
+      }
       
       streamRef.current = stream;
+      audioBridgeRef.current?.setSource(stream);
+
+      // Cameras may not deliver the requested resolution, or its aspect ratio
+      const { width, height } = stream.getVideoTracks()[0]?.getSettings() ?? {};
+      if (width && height) {
+        cameraAspectRef.current = width / height;
+        calculateDimensions();
+      }
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
         setCameraReady(true);
       }
+
+      // Labels only become visible once permission has been granted
+      refreshDevices();
     } catch (err) {
       console.error('Error accessing camera:', err);
-      setError('Unable to access camera. Please ensure camera permissions are granted.');
+      reportError('Unable to access camera. Please ensure camera permissions are granted.', err);
     }
-  }, [videoDimensions]);
+  }, [refreshDevices, reportError, calculateDimensions]);
+
+  /**
+   * Apply and persist new device preferences
+   */
+  const changeDevicePrefs = useCallback((next) => {
+    const sanitized = sanitizeDevicePreferences(next);
+    devicePrefsRef.current = sanitized;
+    setDevicePrefs(sanitized);
+    saveSetting(DEVICE_PREFERENCES_KEY, sanitized);
+    startCamera(sanitized);
+  }, [startCamera]);
 
   /**
    * Setup face detection overlay canvas
@@ -106,9 +478,13 @@ const FaceRecorder = () => {
   const setupCanvas = useCallback(() => {
     if (!videoRef.current || !canvasRef.current) return null;
 
-    const canvas = faceapi.createCanvasFromMedia(videoRef.current);
-    canvasRef.current.innerHTML = '';
-    canvasRef.current.appendChild(canvas);
+    // Reuse the existing canvas so an in-progress recording keeps its overlay
+    // source when detection restarts (e.g. after switching cameras)
+    let canvas = canvasRef.current.querySelector('canvas');
+    if (!canvas) {
+      canvas = faceapi.createCanvasFromMedia(videoRef.current);
+      canvasRef.current.appendChild(canvas);
+    }
     
     // Match canvas dimensions to video
     faceapi.matchDimensions(canvas, videoDimensions);
@@ -116,6 +492,72 @@ const FaceRecorder = () => {
     return canvas;
   }, [videoDimensions]);
 
+  /**
+   * Redraw detection boxes and landmarks at display size
+   *
+   * @param {HTMLCanvasElement} canvas - Overlay canvas
+   * @param {Array} faces - Face records in video pixels
+   */
+  const drawOverlay = useCallback((canvas, faces) => {
+    // While auto-framing, faces are placed relative to the crop on screen
+    const crop = virtualCameraRef.current?.getCrop();
+    renderOverlay(canvas, crop ? facesInCrop(faces, crop) : faces, {
+      sourceSize: crop ? { width: crop.width, height: crop.height } : {
+        width: videoRef.current.videoWidth,
+        height: videoRef.current.videoHeight
+      },
+      filter: filterRef.current,
+      showBoxes: overlayRef.current.boxes,
+      showLabels: overlayRef.current.labels,
+      showLandmarks: overlayRef.current.landmarks,
+      showAttributes: overlayRef.current.attributes,
+      showPose: showPoseRef.current
+    });
+  }, []);
+
+  /**
+   * Feed one detection tick to the blink detector and surface the results
+   *
+   * @param {Array} faces - Tracked face records
+   * @param {number} capturedAt - Tick time in milliseconds
+   */
+  const processBlinks = useCallback((faces, capturedAt) => {
+    const settings = blinkSettingsRef.current;
+    blinkDetectorRef.current ??= createBlinkDetector();
+    const { events, states } = blinkDetectorRef.current.update(faces, capturedAt, settings);
+
+    if (events.length > 0) {
+      takesRef.current.forEach(take => {
+        events.forEach(event => {
+          const t = take.timeAt(event.t);
+          if (t !== null) take.sessionLog.add({ ...event, t });
+        });
+      });
+
+      const at = Date.now();
+      setRecentBlinkEvents(prev => [...events.map(event => ({ ...event, at })).reverse(), ...prev].slice(0, RECENT_EVENT_COUNT));
+
+      const alerted = events.some(event => event.type === 'eyes-closed' || event.type === 'blink-rate');
+      if (alerted && settings.sound && audioContextRef.current) {
+        playAlertSound(audioContextRef.current);
+      }
+    }
+
+    // The banner only changes when an alert starts or ends
+    const alerting = states.find(state => state.alert);
+    const alertKey = alerting ? `${alerting.trackId}:${alerting.alert}` : '';
+    if (alertKey !== blinkAlertKeyRef.current) {
+      blinkAlertKeyRef.current = alertKey;
+      setBlinkAlert(alerting ?? null);
+    }
+
+    if (capturedAt - blinkStatusUpdatedRef.current >= LATENCY_DISPLAY_INTERVAL) {
+      blinkStatusUpdatedRef.current = capturedAt;
+      const primary = largestFace(faces);
+      setBlinkStatus(states.find(state => state.trackId === primary?.trackId) ?? null);
+    }
+  }, []);
+
   /**
    * Start face detection loop
    */
@@ -129,121 +571,811 @@ const FaceRecorder = () => {
     }
 
     detectionIntervalRef.current = setInterval(async () => {
-      if (!videoRef.current || !modelsLoaded) return;
+      if (!videoRef.current || !modelsLoaded || !backendRef.current) return;
 
       try {
-        // Detect faces with landmarks
-        const detections = await faceapi
-          .detectAllFaces(videoRef.current, new faceapi.TinyFaceDetectorOptions({
-            inputSize: 416,
-            scoreThreshold: 0.5
-          }))
-          .withFaceLandmarks();
+        // Detect faces with landmarks, plus any enabled analysis layers
+        const capturedAt = performance.now();
+        const recognizing = recognitionRef.current;
+        const { expressions, ageGender } = analysisRef.current;
+        const result = await backendRef.current.detect(videoRef.current, {
+          settings: settingsRef.current,
+          withExpressions: expressions,
+          withAgeGender: ageGender,
+          withDescriptors: recognizing
+        });
+
+        // The previous frame is still being processed; drop this one
+        if (!result) return;
+
+        if (capturedAt - latencyUpdatedRef.current >= LATENCY_DISPLAY_INTERVAL) {
+          latencyUpdatedRef.current = capturedAt;
+          setLatency(result.latency);
+        }
+
+        const labelled = result.faces.map((face, index) => {
+          if (!recognizing || !result.descriptors[index]) return face;
+          return {
+            ...face,
+            label: matcherRef.current
+              ? matchDescriptor(matcherRef.current, result.descriptors[index])
+              : UNKNOWN_LABEL
+          };
+        });
+
+        // Assign persistent track IDs for the whole camera session
+        trackerRef.current ??= createFaceTracker();
+        const faces = trackerRef.current.update(labelled, capturedAt);
+        const sourceSize = {
+          width: videoRef.current.videoWidth,
+          height: videoRef.current.videoHeight
+        };
+
+        // Filter out jitter; exports get raw or smoothed faces as chosen
+        const smoothingSettings = smoothingRef.current;
+        smootherRef.current ??= createFaceSmoother(smoothingSettings);
+        const smoothed = smootherRef.current.update(faces, capturedAt);
+        const exportSmoothed = smoothingSettings.exportSource === EXPORT_SOURCES.SMOOTHED;
+        const exported = exportSmoothed ? smoothed : faces;
+        callbacksRef.current.onDetections?.(exported, { t: capturedAt, sourceSize });
+        publisherRef.current?.publish(exported, { t: capturedAt, sourceSize });
 
         // Update face detection state
-        setFaceDetected(detections.length > 0);
-
-        // Resize results to match display size
-        const resizedDetections = faceapi.resizeResults(detections, videoDimensions);
-        
-        // Clear previous drawings
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, videoDimensions.width, videoDimensions.height);
-        
-        // Draw detection boxes and landmarks
-        if (resizedDetections.length > 0) {
-          faceapi.draw.drawDetections(canvas, resizedDetections);
-          faceapi.draw.drawFaceLandmarks(canvas, resizedDetections);
+        setFaceDetected(faces.length > 0);
+
+        // Follow faces between ticks so recordings can redact them every frame
+        redactionTrackRef.current ??= createRedactionTrack();
+        redactionTrackRef.current.update(faces, capturedAt, {
+          intervalMs: 1000 / settingsRef.current.detectionFps,
+          latencyMs: result.latency
+        });
+
+        if (framingRef.current.enabled) {
+          framerRef.current?.update(faces, capturedAt, sourceSize);
+        }
+
+        if (blinkSettingsRef.current.enabled) {
+          processBlinks(faces, capturedAt);
+        }
+
+        // Only re-render the exception list when the people on camera change
+        const tracksKey = faces.map(face => `${face.trackId}:${face.label ?? ''}`).join('|');
+        if (tracksKey !== visibleTracksKeyRef.current) {
+          visibleTracksKeyRef.current = tracksKey;
+          setVisibleTracks(faces.map(({ trackId, label }) => ({ trackId, label })));
+        }
+
+        // Sample the dominant expression of the largest face for the timeline
+        if (expressions) {
+          expressionSamplesRef.current.push({
+            t: capturedAt,
+            expression: largestFace(faces)?.expression ?? null
+          });
+        }
+
+        // Log detections against the timeline of every running take; while
+        // auto-framing, takes record the crop, so log faces in its pixels
+        const crop = virtualCameraRef.current?.getCrop();
+        const takeFaces = crop ? facesInCrop(exported, crop) : exported;
+        const takeSize = crop ? { width: crop.width, height: crop.height } : sourceSize;
+        takesRef.current.forEach(take => {
+          // Paused takes skip frames, so the track lines up with the video
+          const t = take.timeAt(capturedAt);
+          if (t !== null) take.landmarkTrack.addFrame(t, takeFaces, takeSize, { smoothed: exportSmoothed });
+        });
+
+        // The display loop redraws the overlay every frame when it is running
+        overlayFacesRef.current = smoothingSettings.enabled ? smoothed : faces;
+        if (!displayLoopRef.current) {
+          drawOverlay(canvas, overlayFacesRef.current);
         }
       } catch (err) {
         console.error('Face detection error:', err);
       }
-    }, 100); // 10 FPS for smooth detection
-  }, [modelsLoaded, videoDimensions, setupCanvas]);
+    }, 1000 / settings.detectionFps);
+  }, [modelsLoaded, setupCanvas, settings.detectionFps, processBlinks, drawOverlay]);
 
   /**
-   * Start recording the canvas stream
+   * Store a finished recording in the session library
+   *
+   * @param {Object} session - See saveSession
    */
-  const startRecording = useCallback(() => {
-    if (!canvasRef.current?.firstChild) {
-      setError('Canvas not ready for recording');
-      return;
+  const saveToLibrary = useCallback(async (session) => {
+    try {
+      await saveSession(session);
+      setLibraryVersion(prev => prev + 1);
+    } catch (err) {
+      console.error('Error saving session:', err);
+      reportError('The recording could not be saved to the session library. Download it now or free up storage.', err);
     }
+  }, [reportError]);
 
-    try {
-      // Capture canvas stream for recording
-      const canvasStream = canvasRef.current.firstChild.captureStream(30); // 30 FPS
-      const recorder = new MediaRecorder(canvasStream, {
-        mimeType: 'video/webm;codecs=vp9'
+  /**
+   * Start compositing the camera and overlay into a recordable stream
+   *
+   * The pipeline is shared by every take until it is closed, so overlapping
+   * pre-roll takes encode the same frames.
+   *
+   * @returns {{ compositor: Object, stream: MediaStream, withAudio: boolean }}
+   */
+  const openRecordingPipeline = useCallback(() => {
+    if (pipelineRef.current) return pipelineRef.current;
+
+    const overlay = setupCanvas();
+    if (!overlay) throw new Error('Canvas not ready for recording');
+
+    // Composite camera frame and overlay into one 30 FPS stream; while
+    // auto-framing, the camera frame is the virtual camera's crop
+    const video = videoRef.current;
+    const compositor = createCompositor({
+      video: virtualCameraRef.current?.canvas ?? video,
+      overlay,
+      width: videoDimensions.width,
+      height: videoDimensions.height,
+      fps: 30,
+      source: recordingSource,
+      onVideoFrame: (ctx, area) => {
+        // Read refs so redaction changes apply mid-recording
+        const faces = redactionTrackRef.current?.facesAt(performance.now()) ?? [];
+        const crop = virtualCameraRef.current?.getCrop();
+        drawRedactions(ctx, crop ? facesInCrop(faces, crop) : faces, {
+          ...redactionRef.current,
+          sourceSize: crop
+            ? { width: crop.width, height: crop.height }
+            : { width: video.videoWidth, height: video.videoHeight },
+          exemptTrackIds: exemptTrackIdsRef.current,
+          area
+        });
+      }
+    });
+
+    // Mux microphone audio through a bridge so the mic can be swapped mid-take
+    const tracks = compositor.stream.getVideoTracks();
+    const withAudio = devicePrefsRef.current.audioDeviceId !== NO_MICROPHONE;
+    if (withAudio) {
+      const bridge = createAudioBridge();
+      bridge.setSource(streamRef.current);
+      audioBridgeRef.current = bridge;
+      tracks.push(bridge.track);
+    }
+
+    pipelineRef.current = { compositor, stream: new MediaStream(tracks), withAudio };
+    return pipelineRef.current;
+  }, [setupCanvas, videoDimensions, recordingSource]);
+
+  /**
+   * Stop the compositor and audio bridge
+   */
+  const closeRecordingPipeline = useCallback(() => {
+    pipelineRef.current?.compositor.stop();
+    pipelineRef.current = null;
+    audioBridgeRef.current?.close();
+    audioBridgeRef.current = null;
+  }, []);
+
+  /**
+   * Begin one recording on the open pipeline
+   *
+   * Each take has its own recorder, landmark track and session log, so
+   * pre-roll takes can overlap and the unused ones be thrown away. Pauses
+   * are cut from the take's timeline, like MediaRecorder cuts them from
+   * the video.
+   *
+   * @param {string} prefix - File name prefix
+   * @returns {{ startedAt: number, timeAt: Function, elapsed: Function, pause: Function,
+   *   resume: Function, stop: Function, discard: Function }}
+   */
+  const startTake = useCallback((prefix) => {
+    const { compositor, stream, withAudio } = pipelineRef.current;
+    const recorder = createRecorder(stream, recordingPrefs);
+    const chunks = [];
+    const landmarkTrack = createLandmarkTrack();
+    const sessionLog = createSessionLog();
+    let session = null;
+
+    // Handle recording data
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    // Handle recording completion; discarded takes are dropped here
+    recorder.onstop = () => {
+      if (!session) return;
+
+      // Label the file with what the browser actually recorded
+      const type = recordedBlobType(recorder);
+      const blob = new Blob(chunks, { type });
+      setVideoURL(URL.createObjectURL(blob));
+      setVideoType(type);
+      setRecordingName(session.name);
+      setLandmarkFrames(landmarkTrack.getFrames());
+      setSessionEvents(sessionLog.getEvents());
+
+      callbacksRef.current.onRecordingComplete?.(blob, {
+        name: session.name,
+        type,
+        duration: session.duration,
+        landmarkFrames: landmarkTrack.getFrames(),
+        events: sessionLog.getEvents()
       });
-      
-      recorderRef.current = recorder;
-      recordedChunks.current = [];
-      
-      // Handle recording data
-      recorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          recordedChunks.current.push(event.data);
-        }
-      };
-      
-      // Handle recording completion
-      recorder.onstop = () => {
-        const blob = new Blob(recordedChunks.current, { type: 'video/webm' });
-        const url = URL.createObjectURL(blob);
-        setVideoURL(url);
-        setRecordingTime(0);
+
+      // Headless hosts get recordings through onRecordingComplete only
+      if (!headless) {
+        saveToLibrary({
+          ...session,
+          blob,
+          landmarkFrames: landmarkTrack.getFrames(),
+          events: sessionLog.getEvents()
+        });
+      }
+    };
+
+    const take = { prefix, startedAt: 0, pausedMs: 0, pausedAt: null, markerCount: 0, landmarkTrack, sessionLog };
+
+    /**
+     * Position in the recorded video of a moment, or null while paused
+     *
+     * @param {number} t - performance.now() time
+     */
+    take.timeAt = (t) => (take.pausedAt === null ? t - take.startedAt - take.pausedMs : null);
+
+    /**
+     * Length recorded so far, without pauses
+     */
+    take.elapsed = () => (take.pausedAt ?? performance.now()) - take.startedAt - take.pausedMs;
+
+    take.pause = () => {
+      if (take.pausedAt !== null) return;
+      recorder.pause();
+      take.pausedAt = performance.now();
+    };
+
+    /**
+     * Continue after a pause, logging where the two segments join
+     */
+    take.resume = () => {
+      if (take.pausedAt === null) return;
+      const pausedFor = performance.now() - take.pausedAt;
+      take.pausedMs += pausedFor;
+      take.pausedAt = null;
+      sessionLog.add({ t: take.elapsed(), type: 'resume', pausedFor: Math.round(pausedFor) });
+      recorder.resume();
+    };
+
+    /**
+     * Finish the take and save it
+     */
+    take.stop = () => {
+      takesRef.current.delete(take);
+      // Describe the take now; the pipeline may be closed before onstop
+      session = {
+        name: `${prefix}_${fileTimestamp()}`,
+        duration: take.elapsed(),
+        device: [
+          streamRef.current?.getVideoTracks()[0]?.label || 'Camera',
+          withAudio && streamRef.current?.getAudioTracks()[0]?.label
+        ].filter(Boolean).join(' + '),
+        thumbnail: createSessionThumbnail(compositor.canvas, compositor.canvas.width, compositor.canvas.height)
       };
-      
-      recorder.start(100); // Collect data every 100ms
+      recorder.stop();
+    };
+
+    /**
+     * Finish the take without keeping it
+     */
+    take.discard = () => {
+      takesRef.current.delete(take);
+      recorder.stop();
+    };
+
+    recorder.start(100); // Collect data every 100ms
+    take.startedAt = performance.now();
+    takesRef.current.add(take);
+    return take;
+  }, [recordingPrefs, saveToLibrary, headless]);
+
+  /**
+   * Start recording the composited stream
+   */
+  const startRecording = useCallback(() => {
+    try {
+      openRecordingPipeline();
+      takeRef.current = startTake(RECORDING_PREFIX);
+      setRecordingTime(0);
+      setPaused(false);
+      setMarkers([]);
       setRecording(true);
       setError(null);
-      
+
       console.log('Recording started');
     } catch (err) {
       console.error('Recording error:', err);
-      setError('Failed to start recording');
+      closeRecordingPipeline();
+      reportError('Failed to start recording', err);
     }
-  }, []);
+  }, [openRecordingPipeline, closeRecordingPipeline, startTake, reportError]);
 
   /**
    * Stop recording
    */
   const stopRecording = useCallback(() => {
-    if (recorderRef.current && recording) {
-      recorderRef.current.stop();
+    if (takeRef.current && recording) {
+      takeRef.current.stop();
+      takeRef.current = null;
+      closeRecordingPipeline();
       setRecording(false);
+      setPaused(false);
       console.log('Recording stopped');
     }
+  }, [recording, closeRecordingPipeline]);
+
+  /**
+   * Pause the current recording; nothing is recorded until it resumes
+   *
+   * Face-triggered clips cannot be paused; they stop on their own instead.
+   */
+  const pauseRecording = useCallback(() => {
+    if (takeRef.current?.prefix !== RECORDING_PREFIX || !recording) return;
+    takeRef.current.pause();
+    setPaused(true);
+  }, [recording]);
+
+  /**
+   * Resume a paused recording
+   */
+  const resumeRecording = useCallback(() => {
+    if (!takeRef.current || !recording) return;
+    takeRef.current.resume();
+    setPaused(false);
   }, [recording]);
 
+  /**
+   * Log a named marker at the current point of the recording
+   *
+   * @param {string} [label] - Defaults to "Marker N"
+   * @returns {{ id: number, t: number, label: string }|null} Null when not recording
+   */
+  const addMarker = useCallback((label) => {
+    const take = takeRef.current;
+    if (!take) return null;
+
+    const id = ++take.markerCount;
+    const marker = { id, t: Math.round(take.elapsed()), label: label?.trim() || `Marker ${id}` };
+    take.sessionLog.add({ ...marker, type: 'marker' });
+    setMarkers(prev => [...prev, marker]);
+    return marker;
+  }, []);
+
+  /**
+   * Rename a marker of the current recording
+   *
+   * @param {number} id
+   * @param {string} label
+   */
+  const renameMarker = useCallback((id, label) => {
+    takeRef.current?.sessionLog.update(event => event.type === 'marker' && event.id === id, { label });
+    setMarkers(prev => prev.map(marker => (marker.id === id ? { ...marker, label } : marker)));
+  }, []);
+
+  /**
+   * Start a face-triggered clip, from the pre-roll buffer when there is one
+   */
+  const startAutoClip = useCallback(() => {
+    try {
+      const take = preRollRef.current?.claim() ?? startTake(AUTO_CLIP_PREFIX);
+      takeRef.current = take;
+      setRecordingTime(Math.floor(take.elapsed() / 1000));
+      setMarkers([]);
+      setRecording(true);
+    } catch (err) {
+      console.error('Automatic recording error:', err);
+      reportError('Failed to start recording', err);
+    }
+  }, [startTake, reportError]);
+
+  /**
+   * Save the current clip and go back to waiting for a face
+   */
+  const stopAutoClip = useCallback(() => {
+    takeRef.current?.stop();
+    takeRef.current = null;
+    setRecording(false);
+    preRollRef.current?.start();
+  }, []);
+
+  /**
+   * Enabled optional layers, optionally overriding one of them
+   */
+  const currentLayers = useCallback((overrides = {}) => ({
+    recognition: recognitionRef.current,
+    ...analysisRef.current,
+    ...overrides
+  }), []);
+
+  /**
+   * Toggle face recognition, loading its model on first use
+   */
+  const toggleRecognition = useCallback(async (enabled) => {
+    setRecognitionEnabled(enabled);
+    if (!enabled) {
+      recognitionRef.current = false;
+      return;
+    }
+
+    try {
+      setError(null);
+      // Enrollment runs on the main thread, matching runs in the backend
+      await loadRecognitionModel(modelUrl);
+      await backendRef.current?.configure({
+        settings: settingsRef.current,
+        layers: currentLayers({ recognition: true })
+      });
+      setRecognitionReady(true);
+      recognitionRef.current = true;
+    } catch (err) {
+      console.error('Error loading recognition model:', err);
+      setRecognitionEnabled(false);
+      reportError(`Failed to load face recognition model. Please ensure model files are in the ${modelUrl}/face_recognition directory.`, err);
+    }
+  }, [currentLayers, modelUrl, reportError]);
+
+  /**
+   * Toggle an analysis layer, loading its model on first use
+   *
+   * @param {string} key - One of ANALYSIS_LAYERS keys
+   * @param {boolean} enabled
+   */
+  const toggleAnalysis = useCallback(async (key, enabled) => {
+    setAnalysis(prev => ({ ...prev, [key]: enabled }));
+    if (!enabled) {
+      analysisRef.current = { ...analysisRef.current, [key]: false };
+      return;
+    }
+
+    try {
+      setError(null);
+      await backendRef.current?.configure({
+        settings: settingsRef.current,
+        layers: currentLayers({ [key]: true })
+      });
+      analysisRef.current = { ...analysisRef.current, [key]: true };
+    } catch (err) {
+      const layer = ANALYSIS_LAYERS.find(item => item.key === key);
+      console.error(`Error loading ${layer.label} model:`, err);
+      setAnalysis(prev => ({ ...prev, [key]: false }));
+      reportError(`Failed to load ${layer.label} model. Please ensure model files are in the ${modelUrl}/${layer.directory} directory.`, err);
+    }
+  }, [currentLayers, modelUrl, reportError]);
+
+  /**
+   * Apply new detector settings, loading any newly selected model first
+   *
+   * The running loop keeps the previous models until the new ones are
+   * ready, so detection never stalls on a half-loaded net.
+   */
+  const changeSettings = useCallback(async (next) => {
+    const sanitized = sanitizeDetectorSettings(next);
+    setSettings(sanitized);
+    setSettingsLoading(true);
+
+    try {
+      setError(null);
+      await loadFaceModels(sanitized, modelUrl);
+      await backendRef.current?.configure({ settings: sanitized, layers: currentLayers() });
+      settingsRef.current = sanitized;
+      saveSetting(DETECTOR_SETTINGS_KEY, sanitized);
+    } catch (err) {
+      console.error('Error loading detector models:', err);
+      setSettings(settingsRef.current);
+      reportError(`Failed to load the selected detector model. Please ensure its model files are in the ${modelUrl} directory.`, err);
+    } finally {
+      setSettingsLoading(false);
+    }
+  }, [currentLayers, modelUrl, reportError]);
+
+  /**
+   * Rebuild the matcher whenever the gallery changes
+   */
+  const handlePeopleChange = useCallback((people) => {
+    matcherRef.current = createMatcher(people);
+  }, []);
+
+  const getVideo = useCallback(() => videoRef.current, []);
+
+  const getOverlay = useCallback(() => canvasRef.current?.querySelector('canvas') ?? null, []);
+
+  // Faces as of now rather than the last tick, so snapshots line up with the frame
+  const getFaces = useCallback(() => redactionTrackRef.current?.facesAt(performance.now()) ?? [], []);
+
+  // The camera frame as previewed and recorded: the virtual camera while auto-framing
+  const getFramedVideo = useCallback(() => virtualCameraRef.current?.canvas ?? videoRef.current, []);
+
+  // Current faces in the pixels of getFramedVideo()
+  const getFramedFaces = useCallback(() => {
+    const camera = virtualCameraRef.current;
+    const crop = camera?.getCrop();
+    return crop ? facesInCrop(getFaces(), crop, camera.canvas.width / crop.width) : getFaces();
+  }, [getFaces]);
+
   /**
    * Clean up resources
    */
   const cleanup = useCallback(() => {
+    // Drop the pre-roll buffer
+    if (preRollRef.current) {
+      preRollRef.current.stop();
+      preRollRef.current = null;
+    }
+
+    // Stop compositor timer and stream, and release the audio bridge
+    closeRecordingPipeline();
+
+    // Release the alert sound context
+    if (audioContextRef.current) {
+      audioContextRef.current.close();
+      audioContextRef.current = null;
+    }
+
     // Stop detection interval
     if (detectionIntervalRef.current) {
       clearInterval(detectionIntervalRef.current);
     }
     
+    // Shut down the detection worker
+    if (backendRef.current) {
+      backendRef.current.terminate();
+      backendRef.current = null;
+    }
+
     // Stop camera stream
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
     }
-    
-    // Clean up video URL
-    if (videoURL) {
-      URL.revokeObjectURL(videoURL);
+  }, [closeRecordingPipeline]);
+
+  /**
+   * Switch the face filter, fetching its images in the background
+   *
+   * @param {string|null} id - Filter ID, or null for none
+   */
+  const selectFilter = useCallback((id) => {
+    const filter = FILTERS.find(item => item.id === id) ?? null;
+    filterRef.current = filter;
+    setFilterId(filter?.id ?? null);
+
+    if (filter) {
+      loadFilter(filter).catch(err => {
+        console.error('Error loading filter:', err);
+        reportError(`Failed to load the ${filter.label} filter.`, err);
+      });
+    }
+  }, [reportError]);
+
+  /**
+   * Apply and persist new blink settings
+   */
+  const changeBlinkSettings = useCallback((next) => {
+    const sanitized = sanitizeBlinkSettings(next);
+    blinkSettingsRef.current = sanitized;
+    setBlinkSettings(sanitized);
+    saveSetting(BLINK_SETTINGS_KEY, sanitized);
+
+    // Browsers only allow audio to start from a user gesture, like this change
+    if (sanitized.enabled && sanitized.sound) {
+      audioContextRef.current ??= new AudioContext();
+      audioContextRef.current.resume();
+    }
+
+    if (!sanitized.enabled) {
+      blinkDetectorRef.current?.reset();
+      blinkAlertKeyRef.current = '';
+      setBlinkAlert(null);
+      setBlinkStatus(null);
     }
+  }, []);
+
+  /**
+   * Apply and persist new automatic recording settings
+   */
+  const changeAutoRecord = useCallback((next) => {
+    const sanitized = sanitizeAutoRecordSettings(next);
+    setAutoRecord(sanitized);
+    saveSetting(AUTO_RECORD_SETTINGS_KEY, sanitized);
+  }, []);
+
+  /**
+   * Apply and persist new smoothing settings
+   */
+  const changeSmoothing = useCallback((next) => {
+    const sanitized = sanitizeSmoothingSettings(next);
+    smoothingRef.current = sanitized;
+    smootherRef.current?.configure(sanitized);
+    setSmoothing(sanitized);
+    saveSetting(SMOOTHING_SETTINGS_KEY, sanitized);
+  }, []);
+
+  /**
+   * Apply and persist new auto-framing settings
+   */
+  const changeFraming = useCallback((next) => {
+    const sanitized = sanitizeFramingSettings(next);
+    framingRef.current = sanitized;
+    framerRef.current?.configure(sanitized);
+    setFraming(sanitized);
+    saveSetting(FRAMING_SETTINGS_KEY, sanitized);
+  }, []);
+
+  /**
+   * Apply and persist new detection stream settings
+   */
+  const changeStream = useCallback((next) => {
+    const sanitized = sanitizeStreamSettings(next);
+    streamSettingsRef.current = sanitized;
+    publisherRef.current?.configure(sanitized);
+    setStream(sanitized);
+    saveSetting(STREAM_SETTINGS_KEY, sanitized);
+  }, []);
+
+  /**
+   * Apply and persist new redaction settings
+   */
+  const changeRedaction = useCallback((next) => {
+    const sanitized = sanitizeRedactionSettings(next);
+    redactionRef.current = sanitized;
+    setRedaction(sanitized);
+    saveSetting(REDACTION_SETTINGS_KEY, sanitized);
+  }, []);
+
+  /**
+   * Flip whether a tracked face is left unredacted
+   */
+  const toggleExempt = useCallback((trackId) => {
+    const next = new Set(exemptTrackIdsRef.current);
+    if (next.has(trackId)) {
+      next.delete(trackId);
+    } else {
+      next.add(trackId);
+    }
+    exemptTrackIdsRef.current = next;
+    setExemptTrackIds(next);
+  }, []);
+
+  /**
+   * Apply and persist new recording format preferences
+   */
+  const changeRecordingPrefs = useCallback((changes) => {
+    setRecordingPrefs(prev => {
+      const next = sanitizeRecordingPreferences({ ...prev, ...changes });
+      saveSetting(RECORDING_PREFERENCES_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Loops and recorders read the host's latest callbacks through a ref
+  useEffect(() => {
+    callbacksRef.current = { onDetections, onRecordingComplete, onError };
+  }, [onDetections, onRecordingComplete, onError]);
+
+  // The host's overlay choices, keyed field by field so an inline object
+  // does not reset the Head Pose checkbox on every render
+  const { boxes, labels, landmarks, attributes, pose } = overlay ?? {};
+  const overlayOptions = useMemo(() => ({
+    boxes: boxes ?? DEFAULT_OVERLAY_OPTIONS.boxes,
+    labels: labels ?? DEFAULT_OVERLAY_OPTIONS.labels,
+    landmarks: landmarks ?? DEFAULT_OVERLAY_OPTIONS.landmarks,
+    attributes: attributes ?? DEFAULT_OVERLAY_OPTIONS.attributes,
+    pose: pose ?? DEFAULT_OVERLAY_OPTIONS.pose
+  }), [boxes, labels, landmarks, attributes, pose]);
+
+  // Apply the host's overlay choices
+  useEffect(() => {
+    overlayRef.current = overlayOptions;
+    showPoseRef.current = overlayOptions.pose;
+    setShowPose(overlayOptions.pose);
+  }, [overlayOptions]);
+
+  const autoArmed = autoRecord.enabled && mode === 'live' && modelsLoaded && cameraReady;
+
+  // Let host apps drive the recorder; while automatic recording is armed,
+  // presence starts and stops clips, so manual control is ignored
+  useImperativeHandle(ref, () => ({
+    startRecording: () => {
+      if (!autoArmed) startRecording();
+    },
+    stopRecording: () => {
+      if (!autoArmed) stopRecording();
+    },
+    /**
+     * Capture the current frame, redacted like recordings are
+     *
+     * @param {Object} [options]
+     * @param {string} [options.format='image/png'] - Image MIME type
+     * @param {boolean} [options.includeOverlay=false] - Draw the overlay on top
+     * @returns {Promise<Blob>}
+     */
+    snapshot: async ({ format = 'image/png', includeOverlay = false } = {}) => {
+      if (!videoRef.current?.videoWidth) throw new Error('Camera not ready');
+
+      const shot = grabShot({
+        video: getFramedVideo(),
+        overlay: includeOverlay ? getOverlay() : null,
+        faces: getFramedFaces()
+      });
+      return canvasToBlob(renderShot(shot, redactionRef.current, exemptTrackIdsRef.current), format);
+    },
+    getFaces,
+    /**
+     * The auto-framed camera as a 30 FPS video stream
+     *
+     * @returns {MediaStream|null} Null while auto-framing is off; a new stream
+     *   replaces this one when the aspect ratio changes
+     */
+    getFramedStream: () => virtualCameraRef.current?.stream ?? null,
+    pauseRecording: () => {
+      if (!autoArmed) pauseRecording();
+    },
+    resumeRecording: () => {
+      if (!autoArmed) resumeRecording();
+    },
+    addMarker,
+    isRecording: () => recording,
+    isPaused: () => paused
+  }), [
+    autoArmed, startRecording, stopRecording, pauseRecording, resumeRecording, addMarker,
+    getOverlay, getFaces, getFramedVideo, getFramedFaces, recording, paused
+  ]);
+
+  // Restore saved recording and redaction preferences
+  useEffect(() => {
+    setRecordingPrefs(sanitizeRecordingPreferences(loadSetting(RECORDING_PREFERENCES_KEY, {})));
+
+    const savedRedaction = sanitizeRedactionSettings(loadSetting(REDACTION_SETTINGS_KEY, {}));
+    redactionRef.current = savedRedaction;
+    setRedaction(savedRedaction);
+
+    const savedBlinks = sanitizeBlinkSettings(loadSetting(BLINK_SETTINGS_KEY, {}));
+    blinkSettingsRef.current = savedBlinks;
+    setBlinkSettings(savedBlinks);
+
+    const savedFraming = sanitizeFramingSettings(loadSetting(FRAMING_SETTINGS_KEY, {}));
+    framingRef.current = savedFraming;
+    setFraming(savedFraming);
+
+    const savedStream = sanitizeStreamSettings(loadSetting(STREAM_SETTINGS_KEY, {}));
+    streamSettingsRef.current = savedStream;
+    setStream(savedStream);
+
+    const savedSmoothing = sanitizeSmoothingSettings(loadSetting(SMOOTHING_SETTINGS_KEY, {}));
+    smoothingRef.current = savedSmoothing;
+    setSmoothing(savedSmoothing);
+
+    // Never start recording on its own after a reload
+    setAutoRecord(sanitizeAutoRecordSettings({ ...loadSetting(AUTO_RECORD_SETTINGS_KEY, {}), enabled: false }));
+  }, []);
+
+  // Show which format the next recording will use
+  useEffect(() => {
+    const { label } = negotiateFormat({
+      container: recordingPrefs.container,
+      withAudio: devicePrefs.audioDeviceId !== NO_MICROPHONE
+    });
+    setFormatLabel(label);
+  }, [recordingPrefs.container, devicePrefs.audioDeviceId]);
+
+  // Release the previous recording's object URL when it is replaced
+  useEffect(() => () => {
+    if (videoURL) URL.revokeObjectURL(videoURL);
   }, [videoURL]);
 
-  // Recording timer effect
+  // Recording timer effect; reads the take so pauses stop the clock
   useEffect(() => {
     let timer;
     if (recording) {
       timer = setInterval(() => {
-        setRecordingTime(prev => prev + 1);
-      }, 1000);
+        if (takeRef.current) setRecordingTime(Math.floor(takeRef.current.elapsed() / 1000));
+      }, RECORDING_TIMER_INTERVAL);
     }
     return () => clearInterval(timer);
   }, [recording]);
@@ -256,20 +1388,48 @@ const FaceRecorder = () => {
     // Handle window resize
     const handleResize = () => calculateDimensions();
     window.addEventListener('resize', handleResize);
-    
+
+    // The delivered frame can change shape later, e.g. when a phone is rotated
+    const video = videoRef.current;
+    const handleVideoResize = () => {
+      if (!video.videoWidth || !video.videoHeight) return;
+      cameraAspectRef.current = video.videoWidth / video.videoHeight;
+      calculateDimensions();
+    };
+    video?.addEventListener('resize', handleVideoResize);
+
     return () => {
       window.removeEventListener('resize', handleResize);
+      video?.removeEventListener('resize', handleVideoResize);
       cleanup();
     };
   }, [calculateDimensions, loadModels, cleanup]);
 
-  // Start camera when models are loaded
+  // Start camera with saved device preferences when models are loaded
   useEffect(() => {
     if (modelsLoaded) {
-      startCamera();
+      const saved = sanitizeDevicePreferences(loadSetting(DEVICE_PREFERENCES_KEY, {}));
+      devicePrefsRef.current = saved;
+      setDevicePrefs(saved);
+      startCamera(saved);
     }
   }, [modelsLoaded, startCamera]);
 
+  // Keep the device list current and recover when the active camera disappears
+  useEffect(() => {
+    const handleDeviceChange = () => {
+      refreshDevices();
+
+      const videoTrack = streamRef.current?.getVideoTracks()[0];
+      if (videoTrack?.readyState === 'ended') {
+        startCamera();
+      }
+    };
+
+    navigator.mediaDevices?.addEventListener('devicechange', handleDeviceChange);
+    return () => navigator.mediaDevices?.removeEventListener('devicechange', handleDeviceChange);
+  }, [refreshDevices, startCamera]);
+
   // Start face detection when video is ready
   useEffect(() => {
     const video = videoRef.current;
@@ -285,6 +1445,177 @@ const FaceRecorder = () => {
     return () => video.removeEventListener('play', handlePlay);
   }, [modelsLoaded, cameraReady, startFaceDetection]);
 
+  // Pause live detection while analyzing a file, resume when switching back
+  useEffect(() => {
+    if (mode === 'file') {
+      if (detectionIntervalRef.current) {
+        clearInterval(detectionIntervalRef.current);
+        detectionIntervalRef.current = null;
+      }
+      // Nothing confirms live faces are gone while detection is paused
+      redactionTrackRef.current?.reset();
+      setFaceDetected(false);
+    } else if (modelsLoaded && cameraReady && videoRef.current && !videoRef.current.paused) {
+      startFaceDetection();
+    }
+  }, [mode, modelsLoaded, cameraReady, startFaceDetection]);
+
+  // Resize the preview for the framed aspect, or back to the full frame
+  useEffect(() => {
+    calculateDimensions();
+  }, [framing.enabled, framing.aspect, calculateDimensions]);
+
+  // Run the auto-framing virtual camera; it waits for the video by itself,
+  // so switching cameras does not replace the stream
+  useEffect(() => {
+    if (!framing.enabled) return;
+
+    framerRef.current ??= createAutoFramer(framingRef.current);
+    const camera = createVirtualCamera({
+      video: videoRef.current,
+      framer: framerRef.current,
+      aspect: framing.aspect
+    });
+    camera.canvas.className = 'absolute top-0 left-0 w-full h-full';
+    framedStageRef.current.appendChild(camera.canvas);
+    virtualCameraRef.current = camera;
+
+    return () => {
+      virtualCameraRef.current = null;
+      framerRef.current.reset();
+      camera.stop();
+      camera.canvas.remove();
+    };
+  }, [framing.enabled, framing.aspect]);
+
+  // Publish detections only while the stream is on; settings changes are
+  // applied through configure() without dropping the WebSocket
+  useEffect(() => {
+    if (!stream.enabled) return;
+
+    const publisher = createDetectionPublisher(streamSettingsRef.current, { onStatus: setStreamStatus });
+    publisherRef.current = publisher;
+
+    return () => {
+      publisherRef.current = null;
+      publisher.close();
+    };
+  }, [stream.enabled]);
+
+  const predicting = smoothing.enabled && smoothing.predict;
+  const displayLoop = (predicting || framing.enabled) && mode === 'live' && modelsLoaded && cameraReady;
+
+  // Redraw the overlay every display frame, to follow predicted positions
+  // between detection ticks and the moving auto-framing crop
+  useEffect(() => {
+    if (!displayLoop) return;
+
+    displayLoopRef.current = true;
+    let handle = requestAnimationFrame(function tick() {
+      const canvas = canvasRef.current?.querySelector('canvas');
+      if (canvas && videoRef.current?.videoWidth) {
+        const { enabled, predict } = smoothingRef.current;
+        drawOverlay(canvas, enabled && predict && smootherRef.current
+          ? smootherRef.current.facesAt(performance.now())
+          : overlayFacesRef.current);
+      }
+      handle = requestAnimationFrame(tick);
+    });
+
+    return () => {
+      displayLoopRef.current = false;
+      cancelAnimationFrame(handle);
+    };
+  }, [displayLoop, drawOverlay]);
+
+  // The armed pipeline calls the latest recording callbacks through a ref:
+  // only arming and the pre-roll length restart it, since re-arming on a
+  // resize would cut the clip in progress
+  useEffect(() => {
+    pipelineActionsRef.current = { openRecordingPipeline, closeRecordingPipeline, startTake, reportError };
+  }, [openRecordingPipeline, closeRecordingPipeline, startTake, reportError]);
+
+  // Keep the recording pipeline and pre-roll running while armed
+  useEffect(() => {
+    if (!autoArmed) return;
+
+    const actions = pipelineActionsRef.current;
+    try {
+      actions.openRecordingPipeline();
+    } catch (err) {
+      console.error('Automatic recording error:', err);
+      actions.reportError('Failed to start automatic recording', err);
+      return;
+    }
+
+    if (autoRecord.preRollMs > 0) {
+      preRollRef.current = createPreRoll({
+        // Each pre-roll take uses the recording and library options of the moment
+        startTake: () => pipelineActionsRef.current.startTake(AUTO_CLIP_PREFIX),
+        durationMs: autoRecord.preRollMs
+      });
+      preRollRef.current.start();
+    }
+
+    return () => {
+      preRollRef.current?.stop();
+      preRollRef.current = null;
+      // Disarming saves the clip in progress
+      if (takeRef.current) {
+        takeRef.current.stop();
+        takeRef.current = null;
+        setRecording(false);
+      }
+      pipelineActionsRef.current.closeRecordingPipeline();
+    };
+  }, [autoArmed, autoRecord.preRollMs]);
+
+  // Start a clip when a face appears, stop it once none has been seen for a while
+  useEffect(() => {
+    if (!autoArmed) return;
+
+    if (faceDetected && !recording) {
+      startAutoClip();
+    } else if (!faceDetected && recording) {
+      const timer = setTimeout(stopAutoClip, autoRecord.stopAfterMs);
+      return () => clearTimeout(timer);
+    }
+  }, [autoArmed, faceDetected, recording, autoRecord.stopAfterMs, startAutoClip, stopAutoClip]);
+
+  // Split clips that reach the maximum length; the next one starts right away
+  useEffect(() => {
+    if (!autoArmed || !recording || !takeRef.current) return;
+
+    const timer = setTimeout(stopAutoClip, Math.max(autoRecord.maxClipMs - takeRef.current.elapsed(), 0));
+    return () => clearTimeout(timer);
+  }, [autoArmed, recording, autoRecord.maxClipMs, stopAutoClip]);
+
+  // Recording hotkeys; typing in a field never triggers them
+  useEffect(() => {
+    if (!hotkeys || !recording) return;
+
+    const handleKeyDown = (event) => {
+      if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'm') {
+        event.preventDefault();
+        addMarker();
+      } else if (key === 'p' && !autoArmed) {
+        event.preventDefault();
+        if (paused) {
+          resumeRecording();
+        } else {
+          pauseRecording();
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [hotkeys, recording, paused, autoArmed, addMarker, pauseRecording, resumeRecording]);
+
   /**
    * Format recording time for display
    */
@@ -294,36 +1625,129 @@ const FaceRecorder = () => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Camera and overlay, the only part shown when headless
+  const videoStage = (
+    <div className="flex justify-center mb-6">
+      <div 
+        className="relative bg-gray-900 rounded-xl overflow-hidden shadow-lg"
+        style={{ 
+          width: `${videoDimensions.width}px`, 
+          height: `${videoDimensions.height}px`,
+          maxWidth: '100%'
+        }}
+      >
+        {/* Video Element */}
+        <video
+          ref={videoRef}
+          autoPlay
+          muted
+          playsInline
+          width={videoDimensions.width}
+          height={videoDimensions.height}
+          className="w-full h-full object-cover"
+        />
+
+        {/* Auto-framing virtual camera, covering the full frame when on */}
+        <div ref={framedStageRef} className="absolute top-0 left-0 w-full h-full pointer-events-none" />
+
+        {/* Canvas Overlay for Face Detection */}
+        <div 
+          ref={canvasRef} 
+          className="absolute top-0 left-0 w-full h-full pointer-events-none"
+        />
+
+        {/* Recording Indicator */}
+        {!headless && recording && (
+          <div className={`absolute top-4 left-4 text-white px-3 py-2 rounded-lg flex items-center space-x-2 ${
+            paused ? 'bg-gray-700' : 'bg-red-500 animate-pulse'
+          }`}>
+            <div className="w-3 h-3 bg-white rounded-full" />
+            <span className="font-medium">{paused ? 'PAUSED' : 'REC'} {formatTime(recordingTime)}</span>
+          </div>
+        )}
+
+        {/* Blink Alert Banner */}
+        {!headless && blinkAlert && (
+          <div className="absolute top-4 right-4 bg-red-600 text-white px-4 py-2 rounded-lg font-semibold shadow-lg animate-pulse" role="alert">
+            {blinkAlert.alert === 'eyes-closed'
+              ? `Eyes closed · #${blinkAlert.trackId}`
+              : `High blink rate: ${blinkAlert.blinkRate}/min · #${blinkAlert.trackId}`}
+          </div>
+        )}
+
+        {/* Loading Overlay */}
+        {!headless && (!modelsLoaded || !cameraReady) && (
+          <div className="absolute inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center">
+            {!modelsLoaded ? (
+              <ModelLoadStatus progress={modelProgress} failed={modelsFailed} onRetry={loadModels} />
+            ) : (
+              <div className="text-white text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4" />
+                <p>Starting camera...</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  if (headless) return videoStage;
+
   return (
     <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
       <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-4xl">
         {/* Header */}
         <div className="text-center mb-6">
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">Face Detection Recorder</h1>
-          <p className="text-gray-600">Real-time face detection with recording capabilities</p>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">{title}</h1>
+          {description && <p className="text-gray-600">{description}</p>}
+        </div>
+
+        {/* Mode Switch */}
+        <div className="flex justify-center mb-4">
+          <div className="inline-flex bg-gray-100 rounded-lg p-1 text-sm font-medium">
+            {[
+              { value: 'live', label: 'Live Camera' },
+              { value: 'file', label: 'Video File' }
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => setMode(option.value)}
+                disabled={recording}
+                className={`px-4 py-2 rounded-md transition-colors duration-200 disabled:cursor-not-allowed ${
+                  mode === option.value ? 'bg-white text-blue-700 shadow' : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
         </div>
 
         {/* Status Indicators */}
         <div className="flex justify-center space-x-4 mb-4">
           <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
-            modelsLoaded ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            modelsLoaded ? 'bg-green-100 text-green-800'
+              : modelsFailed ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
           }`}>
             <div className={`w-2 h-2 rounded-full ${
-              modelsLoaded ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'
+              modelsLoaded ? 'bg-green-500' : modelsFailed ? 'bg-red-500' : 'bg-yellow-500 animate-pulse'
             }`} />
-            <span>{modelsLoaded ? 'Models Loaded' : 'Loading Models...'}</span>
+            <span>{modelsLoaded ? 'Models Loaded' : modelsFailed ? 'Models Failed' : 'Loading Models...'}</span>
           </div>
           
-          <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
-            cameraReady ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-          }`}>
-            <div className={`w-2 h-2 rounded-full ${
-              cameraReady ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'
-            }`} />
-            <span>{cameraReady ? 'Camera Ready' : 'Starting Camera...'}</span>
-          </div>
+          {mode === 'live' && (
+            <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
+              cameraReady ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              <div className={`w-2 h-2 rounded-full ${
+                cameraReady ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'
+              }`} />
+              <span>{cameraReady ? 'Camera Ready' : 'Starting Camera...'}</span>
+            </div>
+          )}
           
-          {cameraReady && (
+          {mode === 'live' && cameraReady && (
             <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
               faceDetected ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
             }`}>
@@ -333,6 +1757,16 @@ const FaceRecorder = () => {
               <span>{faceDetected ? 'Face Detected' : 'No Face Detected'}</span>
             </div>
           )}
+
+          {mode === 'live' && backendKind && latency !== null && (
+            <div
+              className="flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-700"
+              title={backendKind === 'worker' ? 'Detection runs in a Web Worker' : 'Detection runs on the main thread'}
+            >
+              <span>{backendKind === 'worker' ? 'Worker' : 'Main Thread'}</span>
+              <span className="text-gray-500">{Math.round(latency)} ms</span>
+            </div>
+          )}
         </div>
 
         {/* Error Display */}
@@ -347,103 +1781,322 @@ const FaceRecorder = () => {
           </div>
         )}
 
-        {/* Video Display */}
-        <div className="flex justify-center mb-6">
-          <div 
-            className="relative bg-gray-900 rounded-xl overflow-hidden shadow-lg"
-            style={{ 
-              width: `${videoDimensions.width}px`, 
-              height: `${videoDimensions.height}px`,
-              maxWidth: '100%'
-            }}
-          >
-            {/* Video Element */}
-            <video
-              ref={videoRef}
-              autoPlay
-              muted
-              playsInline
-              width={videoDimensions.width}
-              height={videoDimensions.height}
-              className="w-full h-full object-cover"
-            />
-            
-            {/* Canvas Overlay for Face Detection */}
-            <div 
-              ref={canvasRef} 
-              className="absolute top-0 left-0 w-full h-full pointer-events-none"
+        {/* Device Settings */}
+        {mode === 'live' && (
+          <DeviceSettings
+            preferences={devicePrefs}
+            devices={devices}
+            onChange={changeDevicePrefs}
+            disabled={!modelsLoaded}
+          />
+        )}
+
+        {/* Detector Settings */}
+        <DetectorSettings
+          settings={settings}
+          onChange={changeSettings}
+          loading={settingsLoading}
+          disabled={!modelsLoaded}
+        />
+
+        {/* Privacy Redaction */}
+        <RedactionSettings
+          settings={redaction}
+          onChange={changeRedaction}
+          tracks={visibleTracks}
+          exemptTrackIds={exemptTrackIds}
+          onToggleExempt={mode === 'live' ? toggleExempt : undefined}
+        />
+
+        {/* Offline File Analysis */}
+        {mode === 'file' && (
+          <VideoFileAnalyzer
+            modelsLoaded={modelsLoaded}
+            settings={settings}
+            recordingPrefs={recordingPrefs}
+            redaction={redaction}
+            smoothing={smoothing}
+            onSessionComplete={saveToLibrary}
+          />
+        )}
+
+        {/* Live Camera (kept mounted so the stream survives mode switches) */}
+        <div className={mode === 'live' ? '' : 'hidden'}>
+          {/* Video Display */}
+          {videoStage}
+
+          {/* Optional Analysis Layers */}
+          <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-2 mb-4 text-sm">
+            <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={recognitionEnabled}
+                onChange={(e) => toggleRecognition(e.target.checked)}
+                disabled={!modelsLoaded}
+                className="w-4 h-4"
+              />
+              <span>Recognize known people</span>
+            </label>
+
+            {ANALYSIS_LAYERS.map(layer => (
+              <label key={layer.key} className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={analysis[layer.key]}
+                  onChange={(e) => toggleAnalysis(layer.key, e.target.checked)}
+                  disabled={!modelsLoaded}
+                  className="w-4 h-4"
+                />
+                <span>{layer.label}</span>
+              </label>
+            ))}
+
+            <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showPose}
+                onChange={(e) => {
+                  // Pose is always computed; this only controls drawing it
+                  showPoseRef.current = e.target.checked;
+                  setShowPose(e.target.checked);
+                }}
+                disabled={!modelsLoaded}
+                className="w-4 h-4"
+              />
+              <span>Head Pose</span>
+            </label>
+          </div>
+
+          <FilterPicker value={filterId} onChange={selectFilter} disabled={!modelsLoaded} />
+
+          <BlinkMonitor
+            settings={blinkSettings}
+            onChange={changeBlinkSettings}
+            status={blinkStatus}
+            events={recentBlinkEvents}
+          />
+
+          <SmoothingSettings settings={smoothing} onChange={changeSmoothing} />
+
+          <FramingSettings settings={framing} onChange={changeFraming} disabled={recording || autoArmed} />
+
+          <StreamSettings settings={stream} onChange={changeStream} status={streamStatus} />
+
+          <AutoRecordSettings
+            settings={autoRecord}
+            onChange={changeAutoRecord}
+            disabled={recording && !autoArmed}
+            recording={autoArmed && recording}
+          />
+
+          {analysis.expressions && (
+            <ExpressionTimeline samplesRef={expressionSamplesRef} />
+          )}
+
+          {recognitionEnabled && recognitionReady && (
+            <FaceGallery
+              getVideo={getVideo}
+              settings={settings}
+              onPeopleChange={handlePeopleChange}
+              disabled={!cameraReady}
             />
-            
-            {/* Recording Indicator */}
-            {recording && (
-              <div className="absolute top-4 left-4 bg-red-500 text-white px-3 py-2 rounded-lg flex items-center space-x-2 animate-pulse">
-                <div className="w-3 h-3 bg-white rounded-full" />
-                <span className="font-medium">REC {formatTime(recordingTime)}</span>
-              </div>
+          )}
+
+          {/* Recording Source and Format */}
+          <div className="flex flex-wrap items-center justify-center gap-x-4 gap-y-2 mb-4 text-sm">
+            <div className="flex items-center space-x-2">
+              <label htmlFor="recording-source" className="font-medium text-gray-700">Record:</label>
+              <select
+                id="recording-source"
+                value={recordingSource}
+                onChange={(e) => setRecordingSource(e.target.value)}
+                disabled={recording || autoArmed}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+              >
+                {RECORDING_SOURCE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <label htmlFor="recording-container" className="font-medium text-gray-700">Format:</label>
+              <select
+                id="recording-container"
+                value={recordingPrefs.container}
+                onChange={(e) => changeRecordingPrefs({ container: e.target.value })}
+                disabled={recording || autoArmed}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+              >
+                {CONTAINERS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                aria-label="Bitrate"
+                value={recordingPrefs.bitrate}
+                onChange={(e) => changeRecordingPrefs({ bitrate: Number(e.target.value) })}
+                disabled={recording || autoArmed}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+              >
+                {BITRATES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {formatLabel && <span className="text-gray-500">{formatLabel}</span>}
+          </div>
+
+          {/* Controls */}
+          <div className="flex flex-col sm:flex-row items-center justify-center space-y-3 sm:space-y-0 sm:space-x-4">
+            {autoArmed ? (
+              <p className="text-sm text-gray-600">
+                {recording ? 'Recording until no face is seen' : 'Waiting for a face to start recording'}
+              </p>
+            ) : !recording ? (
+              <button
+                onClick={startRecording}
+                disabled={!modelsLoaded || !cameraReady}
+                className="w-full sm:w-auto bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                </svg>
+                <span>Start Recording</span>
+              </button>
+            ) : (
+              <button
+                onClick={stopRecording}
+                className="w-full sm:w-auto bg-red-500 hover:bg-red-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd" />
+                </svg>
+                <span>Stop Recording</span>
+              </button>
             )}
-            
-            {/* Loading Overlay */}
-            {(!modelsLoaded || !cameraReady) && (
-              <div className="absolute inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center">
-                <div className="text-white text-center">
-                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4" />
-                  <p>{!modelsLoaded ? 'Loading AI models...' : 'Starting camera...'}</p>
-                </div>
-              </div>
+
+            {recording && !autoArmed && (
+              <button
+                onClick={paused ? resumeRecording : pauseRecording}
+                className="w-full sm:w-auto bg-amber-500 hover:bg-amber-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  {paused ? (
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  ) : (
+                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                  )}
+                </svg>
+                <span>{paused ? 'Resume' : 'Pause'}</span>
+              </button>
+            )}
+
+            {recording && (
+              <button
+                onClick={() => addMarker()}
+                className="w-full sm:w-auto bg-gray-600 hover:bg-gray-700 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M5 2a1 1 0 00-1 1v15a1 1 0 102 0v-5h4.586l.707.707A1 1 0 0012 14h4a1 1 0 001-1V5a1 1 0 00-1-1h-4.586l-.707-.707A1 1 0 0010 3H6a1 1 0 00-1-1z" />
+                </svg>
+                <span>Marker</span>
+              </button>
             )}
+          
+            <RecordingDownloads
+              videoURL={videoURL}
+              videoType={videoType}
+              name={recordingName}
+              landmarkFrames={landmarkFrames}
+              events={sessionEvents}
+            />
           </div>
-        </div>
 
-        {/* Controls */}
-        <div className="flex flex-col sm:flex-row items-center justify-center space-y-3 sm:space-y-0 sm:space-x-4">
-          {!recording ? (
-            <button
-              onClick={startRecording}
-              disabled={!modelsLoaded || !cameraReady}
-              className="w-full sm:w-auto bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
-            >
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
-              </svg>
-              <span>Start Recording</span>
-            </button>
-          ) : (
-            <button
-              onClick={stopRecording}
-              className="w-full sm:w-auto bg-red-500 hover:bg-red-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
-            >
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd" />
-              </svg>
-              <span>Stop Recording</span>
-            </button>
+          {recording && (
+            <div className="bg-gray-50 rounded-lg p-4 mb-6 text-sm">
+              <p className="text-gray-500 mb-2">
+                {hotkeys && `Press M to add a marker${autoArmed ? '' : ' and P to pause or resume'}. `}
+                Markers appear on the editor timeline once the recording stops.
+              </p>
+              {markers.length > 0 && (
+                <ul className="space-y-1">
+                  {markers.map(marker => (
+                    <li key={marker.id} className="flex items-center space-x-2">
+                      <span className="font-mono text-gray-500 w-12">{formatTime(Math.floor(marker.t / 1000))}</span>
+                      <input
+                        type="text"
+                        value={marker.label}
+                        onChange={(e) => renameMarker(marker.id, e.target.value)}
+                        aria-label={`Name of marker ${marker.id}`}
+                        className="flex-1 border border-gray-300 rounded px-2 py-1 text-gray-800"
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
           )}
-          
-          {videoURL && (
-            <a
-              href={videoURL}
-              download={`face_recording_${new Date().toISOString().slice(0, 19)}.webm`}
-              className="w-full sm:w-auto bg-blue-500 hover:bg-blue-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2 no-underline"
-            >
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
-              </svg>
-              <span>Download Video</span>
-            </a>
+
+          <SnapshotPanel
+            getVideo={getFramedVideo}
+            getOverlay={getOverlay}
+            getFaces={getFramedFaces}
+            redaction={redaction}
+            exemptTrackIds={exemptTrackIds}
+            disabled={!modelsLoaded || !cameraReady}
+          />
+
+          {videoURL && !recording && (
+            <RecordingEditor
+              key={videoURL}
+              videoURL={videoURL}
+              name={recordingName}
+              landmarkFrames={landmarkFrames}
+              events={sessionEvents}
+              recordingPrefs={recordingPrefs}
+            />
+          )}
+
+          {landmarkFrames.length > 0 && (
+            <SessionReport frames={landmarkFrames} name={recordingName} />
           )}
         </div>
 
+        {/* Session Library */}
+        <SessionLibrary version={libraryVersion} />
+
         {/* Instructions */}
-        <div className="mt-8 bg-gray-50 rounded-lg p-4">
-          <h3 className="font-semibold text-gray-800 mb-2">Instructions:</h3>
-          <ul className="text-sm text-gray-600 space-y-1">
-            <li>• Ensure your face is well-lit and visible to the camera</li>
-            <li>• The blue overlay shows detected face landmarks in real-time</li>
-            <li>• Click "Start Recording" to capture video with face detection overlay</li>
-            <li>• Recorded videos include the face detection visualization</li>
-            <li>• Downloads are saved in WebM format for optimal quality</li>
-          </ul>
-        </div>
+        {showInstructions && (
+          <div className="mt-8 bg-gray-50 rounded-lg p-4">
+            <h3 className="font-semibold text-gray-800 mb-2">Instructions:</h3>
+            <ul className="text-sm text-gray-600 space-y-1">
+              <li>• Ensure your face is well-lit and visible to the camera</li>
+              <li>• The blue overlay shows detected face landmarks in real-time</li>
+              <li>• Click "Start Recording" to capture video with face detection overlay</li>
+              <li>• While recording, &quot;Pause&quot; (P) leaves a stretch out and &quot;Marker&quot; (M) flags a moment; name markers in the list below the buttons</li>
+              <li>• Open &quot;Edit Recording&quot; afterwards to trim the ends or split out bad seconds before downloading</li>
+              <li>• Use the &quot;Record&quot; selector to capture the camera and overlay together, the camera only, or the overlay only</li>
+              <li>• Downloads use the best format your browser supports; pick WebM or MP4 and a bitrate under &quot;Format&quot;</li>
+              <li>• Landmark data for each recording can be downloaded as JSON Lines or CSV</li>
+              <li>• Open &quot;Session Report&quot; after a recording for presence, attention and face position stats, exportable as JSON or printable HTML</li>
+              <li>• Open &quot;Automatic Recording&quot; to record a clip whenever a face appears, with a few seconds of pre-roll; each clip is saved separately</li>
+              <li>• Click &quot;Snapshot&quot; for a still image plus an eye-aligned crop of each face; set a burst count to keep the sharpest or most frontal of several shots</li>
+              <li>• Every recording is kept in the &quot;Session Library&quot; on this device until you delete it</li>
+              <li>• Switch to &quot;Video File&quot; to run the same analysis on an existing MP4 or WebM file</li>
+              <li>• Open &quot;Detector Settings&quot; to trade accuracy for speed on slower machines</li>
+              <li>• Pick a &quot;Filter&quot; to add glasses, a hat, a mask or a face mesh that follows your head; it is recorded with the overlay</li>
+              <li>• Open &quot;Privacy Redaction&quot; to blur, pixelate or black out faces in recordings, and mark anyone who may stay visible</li>
+              <li>• Open &quot;Camera &amp; Microphone&quot; to switch devices at any time and add narration to recordings</li>
+              <li>• Turn on &quot;Recognize known people&quot; to enroll faces and label them by name in the overlay</li>
+              <li>• Turn on &quot;Expressions&quot; or &quot;Age & Gender&quot; to add those estimates to the overlay and exported data</li>
+              <li>• Open &quot;Blink &amp; Drowsiness&quot; to get a banner and sound when eyes stay closed; events are saved with each recording</li>
+              <li>• Turn on &quot;Head Pose&quot; to see yaw, pitch and roll with an axis gizmo; the angles are always included in landmark downloads</li>
+              <li>• Open &quot;Detection Stream&quot; to send live detections to other tabs or a local WebSocket tool; the /stream page shows what is sent</li>
+            </ul>
+          </div>
+        )}
       </div>
     </div>
   );
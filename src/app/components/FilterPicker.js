@@ -0,0 +1,41 @@
+"use client";
+
+import React from 'react';
+import { FILTERS } from '../lib/filters';
+
+/**
+ * FilterPicker Component
+ *
+ * Row of face filter choices. Filters are drawn into the overlay, so they
+ * appear in the preview and in recordings that include the overlay.
+ *
+ * @param {Object} props
+ * @param {string|null} props.value - Selected filter ID, or null for none
+ * @param {Function} props.onChange - Called with the new filter ID or null
+ * @param {boolean} [props.disabled=false] - Disable all choices
+ */
+const FilterPicker = ({ value, onChange, disabled = false }) => {
+  const options = [{ id: null, label: 'None' }, ...FILTERS];
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 mb-4 text-sm">
+      <span className="font-medium text-gray-700">Filter:</span>
+      {options.map(filter => (
+        <button
+          key={filter.id ?? 'none'}
+          onClick={() => onChange(filter.id)}
+          disabled={disabled}
+          className={`px-3 py-1 rounded-full border transition-colors duration-200 disabled:cursor-not-allowed ${
+            value === filter.id
+              ? 'bg-blue-500 border-blue-500 text-white'
+              : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+          }`}
+        >
+          {filter.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default FilterPicker;
@@ -0,0 +1,105 @@
+"use client";
+
+import React from 'react';
+import { FRAMING_ASPECTS } from '../lib/autoFraming';
+
+/**
+ * FramingSettings Component
+ *
+ * Collapsible panel for the auto-framing virtual camera: on or full frame,
+ * output aspect ratio, how large the face appears, headroom above it and
+ * how quickly the crop follows.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current auto-framing settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {boolean} [props.disabled=false] - Lock the switch and aspect (e.g. while recording)
+ */
+const FramingSettings = ({ settings, onChange, disabled = false }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Auto-Framing
+        <span className="ml-2 text-sm font-normal text-gray-500">
+          {settings.enabled ? `Following faces · ${settings.aspect}` : 'Full frame'}
+        </span>
+      </summary>
+
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-4 text-sm">
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            disabled={disabled}
+            className="w-4 h-4"
+          />
+          <span>Crop and follow the detected face</span>
+        </label>
+
+        <div className="inline-flex bg-gray-100 rounded-lg p-1 font-medium" role="group" aria-label="Output aspect ratio">
+          {FRAMING_ASPECTS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => update({ aspect: option.value })}
+              disabled={disabled || !settings.enabled}
+              className={`px-3 py-1 rounded-md transition-colors duration-200 disabled:cursor-not-allowed ${
+                settings.aspect === option.value ? 'bg-white text-blue-700 shadow' : 'text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Zoom: face fills {Math.round(settings.faceSize * 100)}% of the height</span>
+          <input
+            type="range"
+            min="0.1"
+            max="0.6"
+            step="0.05"
+            value={settings.faceSize}
+            onChange={(e) => update({ faceSize: Number(e.target.value) })}
+          />
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Headroom: {Math.round(settings.headroom * 100)}%</span>
+          <input
+            type="range"
+            min="0"
+            max="0.4"
+            step="0.05"
+            value={settings.headroom}
+            onChange={(e) => update({ headroom: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Space above the top of the face.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Follow Speed: {(settings.followMs / 1000).toFixed(1)} s</span>
+          <input
+            type="range"
+            min="100"
+            max="3000"
+            step="100"
+            value={settings.followMs}
+            onChange={(e) => update({ followMs: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Time to cover most of a move; longer looks calmer.</span>
+        </label>
+      </div>
+
+      <p className="mt-4 text-xs text-gray-500">
+        The framed view is what gets previewed, recorded and snapshotted. Several faces are framed together; with none in view the camera pulls back to the full frame.
+      </p>
+    </details>
+  );
+};
+
+export default FramingSettings;
@@ -0,0 +1,70 @@
+"use client";
+
+import React from 'react';
+import { modelName } from '../lib/detection';
+
+/**
+ * Format a byte count as kilobytes or megabytes
+ */
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+/**
+ * ModelLoadStatus Component
+ *
+ * Download progress for each model while the app starts, or a retry
+ * button when loading failed. Shown over the video stage.
+ *
+ * @param {Object} props
+ * @param {Object} props.progress - `{ loaded, total }` bytes keyed by model directory
+ * @param {boolean} props.failed - Loading failed and can be retried
+ * @param {Function} props.onRetry - Start loading again
+ */
+const ModelLoadStatus = ({ progress, failed, onRetry }) => {
+  const entries = Object.entries(progress);
+
+  if (failed) {
+    return (
+      <div className="text-white text-center px-6" role="alert">
+        <p className="font-semibold mb-1">Could not load the AI models</p>
+        <p className="text-sm text-gray-200 mb-4">Check your connection and try again. Once loaded, they stay available offline.</p>
+        <button
+          onClick={onRetry}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-6 rounded-lg transition-colors duration-200"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-white text-center w-64">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4" />
+      <p className="mb-3">Loading AI models...</p>
+      {entries.map(([path, { loaded, total }]) => (
+        <div key={path} className="text-left text-xs mb-2">
+          <div className="flex justify-between mb-1">
+            <span>{modelName(path)}</span>
+            <span>{formatBytes(loaded)} / {formatBytes(total)}</span>
+          </div>
+          <div
+            className="h-1.5 bg-white/30 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-label={modelName(path)}
+            aria-valuemin={0}
+            aria-valuemax={total}
+            aria-valuenow={loaded}
+          >
+            <div
+              className="h-full bg-white transition-all duration-200"
+              style={{ width: `${total ? (loaded / total) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ModelLoadStatus;
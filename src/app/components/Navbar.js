@@ -33,6 +33,12 @@ export const Navbar = () => {
             >
               Features
             </a>
+            <a
+              href="/replay"
+              className="text-gray-600 hover:text-blue-600 transition-colors duration-200 font-medium"
+            >
+              Replay
+            </a>
           </div>
         </div>
       </div>
@@ -0,0 +1,83 @@
+"use client";
+
+import React, { useCallback } from 'react';
+import { toJsonLines, toCsv } from '../lib/landmarkExport';
+import { toEventJson } from '../lib/sessionLog';
+import { downloadBlob } from '../lib/download';
+import { extensionForType } from '../lib/recordingFormats';
+
+const DownloadIcon = () => (
+  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+    <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+  </svg>
+);
+
+/**
+ * RecordingDownloads Component
+ *
+ * Download actions for a finished recording: the video itself plus its
+ * landmark track as JSON Lines and CSV, and its event log as JSON.
+ *
+ * @param {Object} props
+ * @param {string|null} props.videoURL - Object URL of the recorded video
+ * @param {string} [props.videoType='video/webm'] - MIME type the video was recorded in
+ * @param {string} props.name - Base file name without extension
+ * @param {Array} props.landmarkFrames - Frames collected by a landmark track
+ * @param {Array} [props.events=[]] - Events collected by a session log
+ */
+const RecordingDownloads = ({ videoURL, videoType = 'video/webm', name, landmarkFrames, events = [] }) => {
+  /**
+   * Download the landmark track in the given format
+   *
+   * @param {'jsonl'|'csv'} format
+   */
+  const downloadLandmarks = useCallback((format) => {
+    if (format === 'csv') {
+      downloadBlob(new Blob([toCsv(landmarkFrames)], { type: 'text/csv' }), `${name}_landmarks.csv`);
+    } else {
+      downloadBlob(new Blob([toJsonLines(landmarkFrames)], { type: 'application/x-ndjson' }), `${name}_landmarks.jsonl`);
+    }
+  }, [landmarkFrames, name]);
+
+  const downloadEvents = useCallback(() => {
+    downloadBlob(new Blob([toEventJson(events)], { type: 'application/json' }), `${name}_events.json`);
+  }, [events, name]);
+
+  return (
+    <>
+      {videoURL && (
+        <a
+          href={videoURL}
+          download={`${name}.${extensionForType(videoType)}`}
+          className="w-full sm:w-auto bg-blue-500 hover:bg-blue-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2 no-underline"
+        >
+          <DownloadIcon />
+          <span>Download Video</span>
+        </a>
+      )}
+
+      {landmarkFrames.length > 0 && ['jsonl', 'csv'].map(format => (
+        <button
+          key={format}
+          onClick={() => downloadLandmarks(format)}
+          className="w-full sm:w-auto bg-indigo-500 hover:bg-indigo-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+        >
+          <DownloadIcon />
+          <span>Landmarks ({format.toUpperCase()})</span>
+        </button>
+      ))}
+
+      {events.length > 0 && (
+        <button
+          onClick={downloadEvents}
+          className="w-full sm:w-auto bg-indigo-500 hover:bg-indigo-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200 flex items-center justify-center space-x-2"
+        >
+          <DownloadIcon />
+          <span>Events (JSON)</span>
+        </button>
+      )}
+    </>
+  );
+};
+
+export default RecordingDownloads;
@@ -0,0 +1,374 @@
+"use client";
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  presenceBands,
+  segmentsBetween,
+  segmentsDuration,
+  sliceFrames,
+  sliceEvents,
+  renderClip
+} from '../lib/clipEditing';
+import { loadVideo, seekVideo } from '../lib/media';
+import RecordingDownloads from './RecordingDownloads';
+
+/**
+ * Ways to write out the kept segments
+ */
+const OUTPUT_MODES = [
+  { value: 'join', label: 'One clip' },
+  { value: 'separate', label: 'One file per segment' }
+];
+
+/**
+ * Format milliseconds as m:ss.t
+ */
+const formatClipTime = (ms) => {
+  const tenths = Math.round(ms / 100);
+  const seconds = Math.floor(tenths / 10);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}.${tenths % 10}`;
+};
+
+/**
+ * RecordingEditor Component
+ *
+ * Post-recording editor: a timeline with markers, pause joins and
+ * face-presence bands, trim handles and split points. Kept segments are
+ * re-rendered in real time into one clip or one file each, with matching
+ * landmark and event downloads.
+ *
+ * @param {Object} props
+ * @param {string} props.videoURL - Object URL of the recording
+ * @param {string} props.name - Base file name without extension
+ * @param {Array} props.landmarkFrames - The recording's landmark track
+ * @param {Array} [props.events=[]] - The recording's session log
+ * @param {Object} props.recordingPrefs - Format and bitrate for rendered clips
+ */
+const RecordingEditor = ({ videoURL, name, landmarkFrames, events = [], recordingPrefs }) => {
+  const videoRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [trim, setTrim] = useState({ start: 0, end: 0 });
+  const [splits, setSplits] = useState([]);
+  const [dropped, setDropped] = useState(() => new Set());
+  const [outputMode, setOutputMode] = useState('join');
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+
+  const rendering = progress !== null;
+  const markers = useMemo(() => events.filter(event => event.type === 'marker'), [events]);
+  const joins = useMemo(() => events.filter(event => event.type === 'resume'), [events]);
+  const bands = useMemo(() => presenceBands(landmarkFrames), [landmarkFrames]);
+  const segments = useMemo(() => segmentsBetween({ ...trim, splits }), [trim, splits]);
+  const kept = segments.filter(segment => !dropped.has(segment.start));
+
+  // Load the recording; MediaRecorder files need a seek to learn their length
+  useEffect(() => {
+    const video = videoRef.current;
+    let cancelled = false;
+
+    loadVideo(video, videoURL)
+      .then(({ duration: seconds }) => {
+        if (cancelled) return;
+        const ms = Math.round(seconds * 1000);
+        setDuration(ms);
+        setTrim({ start: 0, end: ms });
+      })
+      .catch(err => {
+        console.error('Error loading recording for editing:', err);
+        if (!cancelled) setError('This recording could not be opened for editing.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoURL]);
+
+  // Stop rendering and release rendered clips on unmount
+  useEffect(() => () => abortRef.current?.abort(), []);
+  useEffect(() => () => results.forEach(result => URL.revokeObjectURL(result.videoURL)), [results]);
+
+  const seek = useCallback((ms) => {
+    const video = videoRef.current;
+    if (!video || !duration) return;
+    const t = Math.min(Math.max(ms, 0), duration);
+    seekVideo(video, t / 1000).catch(() => {});
+    setCurrentTime(t);
+  }, [duration]);
+
+  /**
+   * Seek to the clicked point of the timeline
+   */
+  const handleTimelineClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    seek(((event.clientX - rect.left) / rect.width) * duration);
+  };
+
+  const now = () => Math.round((videoRef.current?.currentTime ?? 0) * 1000);
+
+  const setStart = () => setTrim(prev => ({ ...prev, start: Math.min(now(), prev.end) }));
+  const setEnd = () => setTrim(prev => ({ ...prev, end: Math.max(now(), prev.start) }));
+
+  const addSplits = (points) => setSplits(prev => [...new Set([...prev, ...points])].sort((a, b) => a - b));
+
+  const reset = () => {
+    setTrim({ start: 0, end: duration });
+    setSplits([]);
+    setDropped(new Set());
+  };
+
+  const toggleSegment = (segment) => setDropped(prev => {
+    const next = new Set(prev);
+    if (next.has(segment.start)) {
+      next.delete(segment.start);
+    } else {
+      next.add(segment.start);
+    }
+    return next;
+  });
+
+  /**
+   * Render the kept segments and offer them for download
+   */
+  const render = useCallback(async () => {
+    if (kept.length === 0) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    videoRef.current?.pause();
+    setError(null);
+    setResults([]);
+    setProgress(0);
+
+    const jobs = outputMode === 'join'
+      ? [{ name: `${name}_edited`, segments: kept }]
+      : kept.map((segment, i) => ({ name: `${name}_part${i + 1}`, segments: [segment] }));
+    const total = segmentsDuration(kept);
+    const rendered = [];
+
+    try {
+      let done = 0;
+      for (const job of jobs) {
+        const jobDuration = segmentsDuration(job.segments);
+        const blob = await renderClip({
+          src: videoURL,
+          segments: job.segments,
+          recordingPrefs,
+          signal: controller.signal,
+          onProgress: (value) => setProgress((done + value * jobDuration) / total)
+        });
+        if (!blob) break;
+
+        done += jobDuration;
+        rendered.push({
+          name: job.name,
+          videoURL: URL.createObjectURL(blob),
+          videoType: blob.type,
+          landmarkFrames: sliceFrames(landmarkFrames, job.segments),
+          events: sliceEvents(events, job.segments)
+        });
+      }
+
+      if (controller.signal.aborted) {
+        rendered.forEach(result => URL.revokeObjectURL(result.videoURL));
+      } else {
+        setResults(rendered);
+      }
+    } catch (err) {
+      console.error('Error rendering edited clip:', err);
+      rendered.forEach(result => URL.revokeObjectURL(result.videoURL));
+      setError('The edited clip could not be rendered.');
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  }, [kept, outputMode, name, videoURL, recordingPrefs, landmarkFrames, events]);
+
+  const cancel = () => abortRef.current?.abort();
+
+  // Timeline position as a CSS percentage
+  const at = (ms) => `${duration ? (ms / duration) * 100 : 0}%`;
+  const span = (start, end) => ({ left: at(start), width: at(end - start) });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mt-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Edit Recording
+        <span className="ml-2 text-sm font-normal text-gray-500">
+          {markers.length > 0 && `${markers.length} marker${markers.length === 1 ? '' : 's'} · `}
+          Trim or split before downloading
+        </span>
+      </summary>
+
+      <video
+        ref={videoRef}
+        controls
+        playsInline
+        onTimeUpdate={(e) => setCurrentTime(Math.round(e.currentTarget.currentTime * 1000))}
+        onSeeked={(e) => setCurrentTime(Math.round(e.currentTarget.currentTime * 1000))}
+        className="w-full max-h-80 bg-black rounded-lg mt-4"
+      />
+
+      {/* Timeline: presence bands, cuts, markers and playhead */}
+      <div
+        onClick={handleTimelineClick}
+        className="relative h-14 bg-white border border-gray-200 rounded-lg mt-3 cursor-pointer overflow-hidden"
+        role="slider"
+        aria-label="Recording timeline"
+        aria-valuemin={0}
+        aria-valuemax={duration}
+        aria-valuenow={currentTime}
+        aria-valuetext={formatClipTime(currentTime)}
+      >
+        {bands.map(band => (
+          <div
+            key={band.start}
+            className="absolute bottom-0 h-3 bg-green-400"
+            style={span(band.start, band.end)}
+            title={`Face present ${formatClipTime(band.start)}–${formatClipTime(band.end)}`}
+          />
+        ))}
+
+        {/* Everything not kept is shaded */}
+        <div className="absolute inset-y-0 bg-gray-400/50" style={span(0, trim.start)} />
+        <div className="absolute inset-y-0 bg-gray-400/50" style={span(trim.end, duration)} />
+        {segments.filter(segment => dropped.has(segment.start)).map(segment => (
+          <div key={segment.start} className="absolute inset-y-0 bg-gray-400/50" style={span(segment.start, segment.end)} />
+        ))}
+
+        {joins.map(join => (
+          <div
+            key={`join-${join.t}`}
+            className="absolute inset-y-0 border-l-2 border-dashed border-gray-500"
+            style={{ left: at(join.t) }}
+            title={`Paused for ${formatClipTime(join.pausedFor)}`}
+          />
+        ))}
+
+        {splits.map(split => (
+          <div key={`split-${split}`} className="absolute inset-y-0 w-0.5 bg-blue-600" style={{ left: at(split) }} />
+        ))}
+
+        {markers.map(marker => (
+          <button
+            key={`marker-${marker.id}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              seek(marker.t);
+            }}
+            className="absolute top-0 -translate-x-1/2 px-1 text-xs font-medium bg-amber-400 text-amber-950 rounded-b max-w-[8rem] truncate"
+            style={{ left: at(marker.t) }}
+            title={`${marker.label} · ${formatClipTime(marker.t)}`}
+          >
+            {marker.label}
+          </button>
+        ))}
+
+        <div className="absolute inset-y-0 w-0.5 bg-red-500 pointer-events-none" style={{ left: at(currentTime) }} />
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatClipTime(currentTime)} / {formatClipTime(duration)}</span>
+        <span>
+          <span className="inline-block w-3 h-2 bg-green-400 mr-1" />Face present
+          <span className="inline-block w-3 h-2 bg-amber-400 ml-3 mr-1" />Marker
+          <span className="inline-block w-3 border-t-2 border-dashed border-gray-500 ml-3 mr-1" />Pause
+        </span>
+      </div>
+
+      {/* Cut controls */}
+      <div className="flex flex-wrap gap-2 mt-4 text-sm">
+        {[
+          { label: `Set Start (${formatClipTime(trim.start)})`, onClick: setStart },
+          { label: `Set End (${formatClipTime(trim.end)})`, onClick: setEnd },
+          { label: 'Split Here', onClick: () => addSplits([now()]) },
+          { label: 'Split at Markers', onClick: () => addSplits(markers.map(marker => marker.t)), disabled: markers.length === 0 },
+          { label: 'Reset', onClick: reset }
+        ].map(action => (
+          <button
+            key={action.label}
+            onClick={action.onClick}
+            disabled={rendering || !duration || action.disabled}
+            className="bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed text-gray-700 font-medium px-3 py-2 rounded-lg transition-colors duration-200"
+          >
+            {action.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Segments */}
+      <ul className="mt-4 space-y-1 text-sm">
+        {segments.map((segment, i) => (
+          <li key={segment.start} className="flex items-center space-x-3">
+            <label className="flex items-center space-x-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!dropped.has(segment.start)}
+                onChange={() => toggleSegment(segment)}
+                disabled={rendering}
+                className="w-4 h-4"
+              />
+              <span className="text-gray-800">Segment {i + 1}</span>
+            </label>
+            <button onClick={() => seek(segment.start)} className="font-mono text-blue-600 hover:text-blue-800">
+              {formatClipTime(segment.start)}–{formatClipTime(segment.end)}
+            </button>
+            <span className="text-gray-500">{((segment.end - segment.start) / 1000).toFixed(1)} s</span>
+          </li>
+        ))}
+      </ul>
+
+      {/* Output */}
+      <div className="flex flex-wrap items-center gap-3 mt-4 text-sm">
+        <select
+          value={outputMode}
+          onChange={(e) => setOutputMode(e.target.value)}
+          disabled={rendering}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white"
+          aria-label="Output"
+        >
+          {OUTPUT_MODES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        {rendering ? (
+          <>
+            <div className="flex-1 min-w-[8rem] h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all duration-200" style={{ width: `${progress * 100}%` }} />
+            </div>
+            <button onClick={cancel} className="text-red-600 hover:text-red-800 font-medium">Cancel</button>
+          </>
+        ) : (
+          <button
+            onClick={render}
+            disabled={kept.length === 0}
+            className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-4 py-2 rounded-lg transition-colors duration-200"
+          >
+            Render {formatClipTime(segmentsDuration(kept))}
+          </button>
+        )}
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">
+        Rendering plays the kept parts back in real time, so it takes as long as the edited clip.
+      </p>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {results.map(result => (
+        <div key={result.name} className="mt-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">{result.name}</p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <RecordingDownloads {...result} />
+          </div>
+        </div>
+      ))}
+    </details>
+  );
+};
+
+export default RecordingEditor;
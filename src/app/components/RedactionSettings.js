@@ -0,0 +1,105 @@
+"use client";
+
+import React from 'react';
+import {
+  REDACTION_STYLES,
+  REDACTION_STYLE_OPTIONS,
+  REDACTION_SHAPE_OPTIONS
+} from '../lib/redaction';
+
+/**
+ * RedactionSettings Component
+ *
+ * Collapsible panel for hiding faces in recordings, with per-person
+ * exceptions for the faces currently on camera.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current redaction settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {Array<{ trackId: number, label?: string }>} [props.tracks] - Faces currently on camera
+ * @param {Set<number>} [props.exemptTrackIds] - Tracked faces left visible
+ * @param {Function} [props.onToggleExempt] - Called with a track ID to flip its exception
+ */
+const RedactionSettings = ({ settings, onChange, tracks = [], exemptTrackIds, onToggleExempt }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const enabled = settings.style !== REDACTION_STYLES.OFF;
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Privacy Redaction
+        {enabled && <span className="ml-2 text-sm font-normal text-gray-500">On</span>}
+      </summary>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Style</span>
+          <select
+            value={settings.style}
+            onChange={(e) => update({ style: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white"
+          >
+            {REDACTION_STYLE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Shape</span>
+          <select
+            value={settings.shape}
+            onChange={(e) => update({ shape: e.target.value })}
+            disabled={!enabled}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+          >
+            {REDACTION_SHAPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Padding: {Math.round(settings.padding * 100)}%</span>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.05"
+            value={settings.padding}
+            onChange={(e) => update({ padding: Number(e.target.value) })}
+            disabled={!enabled}
+          />
+        </label>
+      </div>
+
+      {enabled && onToggleExempt && (
+        <div className="mt-4 text-sm">
+          <p className="font-medium text-gray-700 mb-2">Faces on camera</p>
+          {tracks.length === 0 ? (
+            <p className="text-gray-500">No faces right now. Exceptions apply to a face for as long as it stays tracked.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {tracks.map(track => {
+                const exempt = exemptTrackIds?.has(track.trackId);
+                return (
+                  <button
+                    key={track.trackId}
+                    onClick={() => onToggleExempt(track.trackId)}
+                    className={`px-3 py-1 rounded-full border transition-colors duration-200 ${
+                      exempt ? 'bg-white border-gray-300 text-gray-700' : 'bg-gray-800 border-gray-800 text-white'
+                    }`}
+                  >
+                    #{track.trackId}{track.label ? ` ${track.label}` : ''}: {exempt ? 'Visible' : 'Redacted'}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default RedactionSettings;
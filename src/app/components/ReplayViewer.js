@@ -0,0 +1,441 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { findFrameAt, fromJsonLines } from '../lib/landmarkExport';
+import { renderOverlay } from '../lib/overlay';
+import { facesAt } from '../lib/redaction';
+import { FILTERS, loadFilter } from '../lib/filters';
+import { loadVideo } from '../lib/media';
+import { getSession, getSessionMedia } from '../lib/sessionLibrary';
+import { loadSetting, saveSetting } from '../lib/settings';
+import FilterPicker from './FilterPicker';
+
+const REPLAY_OVERLAY_KEY = 'replayOverlay';
+
+/**
+ * Overlay layers that can be switched on and off during replay
+ */
+const OVERLAY_TOGGLES = [
+  { key: 'boxes', label: 'Boxes' },
+  { key: 'labels', label: 'Labels' },
+  { key: 'landmarks', label: 'Landmarks' },
+  { key: 'attributes', label: 'Attributes' },
+  { key: 'pose', label: 'Head Pose' },
+  { key: 'smooth', label: 'Smooth Motion' }
+];
+
+const DEFAULT_REPLAY_OVERLAY = {
+  boxes: true,
+  labels: true,
+  landmarks: true,
+  attributes: true,
+  pose: false,
+  smooth: false,
+  filterId: null
+};
+
+// Positions closer than this to a detection tick count as on it when stepping,
+// since seeking does not land exactly on the requested time
+const STEP_TOLERANCE_MS = 1;
+
+/**
+ * Clamp untrusted overlay choices (e.g. from localStorage) to supported values
+ */
+const sanitizeReplayOverlay = (settings = {}) => {
+  const merged = { ...DEFAULT_REPLAY_OVERLAY, ...settings };
+  return {
+    ...Object.fromEntries(OVERLAY_TOGGLES.map(({ key }) => [key, Boolean(merged[key])])),
+    filterId: FILTERS.some(filter => filter.id === merged.filterId) ? merged.filterId : null
+  };
+};
+
+/**
+ * Format a position in seconds as m:ss.mmm
+ */
+const formatPosition = (seconds) => {
+  const ms = Math.max(Math.round(seconds * 1000), 0);
+  const whole = Math.floor(ms / 1000);
+  return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}.${(ms % 1000).toString().padStart(3, '0')}`;
+};
+
+/**
+ * ReplayViewer Component
+ *
+ * Plays a recording with its overlay redrawn from the saved landmark track,
+ * through the same drawing code as the live camera. Overlay layers can be
+ * changed after the fact, so recordings can be kept clean and decorated
+ * later. The session comes from the library, or from a video file and its
+ * `_landmarks.jsonl` export.
+ *
+ * @param {Object} props
+ * @param {string} [props.sessionId] - Library session to open
+ */
+const ReplayViewer = ({ sessionId }) => {
+  const videoRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  const [replay, setReplay] = useState(null);
+  const [loading, setLoading] = useState(Boolean(sessionId));
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [options, setOptions] = useState(DEFAULT_REPLAY_OVERLAY);
+  const [duration, setDuration] = useState(0);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  // Restore saved overlay choices
+  useEffect(() => {
+    setOptions(sanitizeReplayOverlay(loadSetting(REPLAY_OVERLAY_KEY, {})));
+  }, []);
+
+  const update = useCallback((changes) => {
+    setOptions(prev => {
+      const next = sanitizeReplayOverlay({ ...prev, ...changes });
+      saveSetting(REPLAY_OVERLAY_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Open a session from the library
+  useEffect(() => {
+    if (!sessionId) return;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const [session, media] = await Promise.all([getSession(sessionId), getSessionMedia(sessionId)]);
+        if (!session || !media) throw new Error(`Session ${sessionId} is not in the library`);
+        if (!cancelled) {
+          setReplay({ name: session.name, blob: media.blob, frames: media.landmarkFrames });
+        }
+      } catch (err) {
+        console.error('Replay loading error:', err);
+        if (!cancelled) setError('This recording is not in the session library on this device.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  /**
+   * Open a video file and its landmark export
+   *
+   * @param {FileList|Array<File>} files
+   */
+  const openFiles = useCallback(async (files) => {
+    const list = Array.from(files ?? []);
+    const video = list.find(file => file.type.startsWith('video/'));
+    const landmarks = list.find(file => file.name.endsWith('.jsonl'));
+    if (!video || !landmarks) {
+      setError('Choose a video together with its _landmarks.jsonl file.');
+      return;
+    }
+
+    try {
+      const frames = fromJsonLines(await landmarks.text());
+      setError(null);
+      setReplay({ name: video.name.replace(/\.[^.]+$/, ''), blob: video, frames });
+    } catch (err) {
+      console.error('Landmark file error:', err);
+      setError(`Could not read ${landmarks.name}: ${err.message}`);
+    }
+  }, []);
+
+  // Load the video; the overlay canvas matches its resolution
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!replay || !video) return;
+
+    const url = URL.createObjectURL(replay.blob);
+    let cancelled = false;
+    loadVideo(video, url)
+      .then(({ width, height, duration }) => {
+        if (cancelled) return;
+        overlayRef.current.width = width;
+        overlayRef.current.height = height;
+        setDuration(duration);
+        setPosition(0);
+      })
+      .catch(err => {
+        console.error('Replay video error:', err);
+        if (!cancelled) setError('This browser cannot play the recording.');
+      });
+
+    return () => {
+      cancelled = true;
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+  }, [replay]);
+
+  /**
+   * Redraw the overlay for a playback position
+   *
+   * @param {number} time - Seconds into the video
+   */
+  const draw = useCallback((time) => {
+    const canvas = overlayRef.current;
+    if (!replay || !canvas?.width) return;
+
+    const t = time * 1000;
+    const frame = findFrameAt(replay.frames, t);
+    const reference = frame ?? replay.frames[0];
+    if (!reference) return;
+
+    renderOverlay(canvas, options.smooth ? facesAt(replay.frames, t) : frame?.faces ?? [], {
+      sourceSize: { width: reference.width, height: reference.height },
+      filter: FILTERS.find(item => item.id === options.filterId) ?? null,
+      showBoxes: options.boxes,
+      showLabels: options.labels,
+      showLandmarks: options.landmarks,
+      showAttributes: options.attributes,
+      showPose: options.pose
+    });
+  }, [replay, options]);
+
+  // Fetch filter images; drawing skips them until they arrive, so redraw
+  // the current frame then in case playback is paused
+  useEffect(() => {
+    const filter = FILTERS.find(item => item.id === options.filterId);
+    if (!filter) return;
+
+    let cancelled = false;
+    loadFilter(filter)
+      .then(() => {
+        if (!cancelled && videoRef.current) draw(videoRef.current.currentTime);
+      })
+      .catch(err => {
+        console.error('Error loading filter:', err);
+        if (!cancelled) setError(`Failed to load the ${filter.label} filter.`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [options.filterId, draw]);
+
+  // Follow playback, once per presented video frame where supported
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!replay || !video) return;
+
+    const perFrame = 'requestVideoFrameCallback' in video;
+    let handle = null;
+
+    const tick = (now, metadata) => {
+      const time = metadata?.mediaTime ?? video.currentTime;
+      draw(time);
+      setPosition(time);
+      handle = perFrame ? video.requestVideoFrameCallback(tick) : requestAnimationFrame(tick);
+    };
+    const redraw = () => {
+      draw(video.currentTime);
+      setPosition(video.currentTime);
+    };
+    const handlePlay = () => setPlaying(true);
+    const handlePause = () => setPlaying(false);
+
+    redraw();
+    handle = perFrame ? video.requestVideoFrameCallback(tick) : requestAnimationFrame(tick);
+    video.addEventListener('seeked', redraw);
+    video.addEventListener('loadeddata', redraw);
+    video.addEventListener('play', handlePlay);
+    video.addEventListener('pause', handlePause);
+
+    return () => {
+      if (perFrame) {
+        video.cancelVideoFrameCallback(handle);
+      } else {
+        cancelAnimationFrame(handle);
+      }
+      video.removeEventListener('seeked', redraw);
+      video.removeEventListener('loadeddata', redraw);
+      video.removeEventListener('play', handlePlay);
+      video.removeEventListener('pause', handlePause);
+    };
+  }, [replay, draw]);
+
+  const togglePlayback = useCallback(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    if (video.paused) {
+      video.play().catch(err => console.error('Replay playback error:', err));
+    } else {
+      video.pause();
+    }
+  }, []);
+
+  /**
+   * Pause and jump to the previous or next detection tick
+   *
+   * @param {number} direction - -1 for back, 1 for forward
+   */
+  const step = useCallback((direction) => {
+    const video = videoRef.current;
+    if (!video || !replay) return;
+
+    video.pause();
+    const t = video.currentTime * 1000;
+    const target = direction < 0
+      ? findFrameAt(replay.frames, t - STEP_TOLERANCE_MS)
+      : replay.frames[(findFrameAt(replay.frames, t + STEP_TOLERANCE_MS)?.frame ?? -1) + 1];
+    if (target) video.currentTime = target.t / 1000;
+  }, [replay]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      step(e.key === 'ArrowLeft' ? -1 : 1);
+    } else if (e.key === ' ') {
+      e.preventDefault();
+      togglePlayback();
+    }
+  }, [step, togglePlayback]);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    openFiles(e.dataTransfer.files);
+  };
+
+  const currentFrame = replay ? findFrameAt(replay.frames, position * 1000 + STEP_TOLERANCE_MS) : null;
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-4xl">
+        {/* Header */}
+        <div className="text-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Replay</h1>
+          <p className="text-gray-600">
+            {replay ? replay.name : 'Watch a recording with its overlay redrawn from the saved detections'}
+          </p>
+        </div>
+
+        {/* File Picker */}
+        {!sessionId && (
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            className={`flex flex-col items-center justify-center border-2 border-dashed rounded-xl p-8 mb-4 text-center cursor-pointer transition-colors duration-200 ${
+              dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50 hover:border-blue-400'
+            }`}
+          >
+            <p className="font-medium text-gray-800">Drop a recording and its landmarks file, or click to choose both</p>
+            <p className="text-sm text-gray-500">The video plus the matching _landmarks.jsonl download</p>
+            <input
+              type="file"
+              accept="video/mp4,video/webm,video/*,.jsonl"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                openFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        )}
+
+        {/* Error Display */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {loading && <p className="text-center text-gray-600 mb-4">Loading recording...</p>}
+
+        {replay && (
+          <div tabIndex={0} onKeyDown={handleKeyDown} className="outline-none">
+            {/* Video Stage */}
+            <div className="relative mb-4">
+              <video ref={videoRef} playsInline onClick={togglePlayback} className="w-full rounded-xl bg-gray-900" />
+              <canvas ref={overlayRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+            </div>
+
+            {/* Transport */}
+            <div className="flex items-center gap-3 mb-2 text-sm">
+              <button
+                onClick={() => step(-1)}
+                title="Previous detection frame (←)"
+                className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800"
+              >
+                ◀︎|
+              </button>
+              <button
+                onClick={togglePlayback}
+                title="Play or pause (Space)"
+                className="px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-medium w-20"
+              >
+                {playing ? 'Pause' : 'Play'}
+              </button>
+              <button
+                onClick={() => step(1)}
+                title="Next detection frame (→)"
+                className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800"
+              >
+                |▶︎
+              </button>
+              <input
+                type="range"
+                aria-label="Playback position"
+                min="0"
+                max={duration || 0}
+                step="any"
+                value={Math.min(position, duration || 0)}
+                onChange={(e) => {
+                  videoRef.current.currentTime = Number(e.target.value);
+                }}
+                className="flex-1"
+              />
+            </div>
+
+            <div className="flex flex-wrap justify-between gap-2 mb-4 text-xs text-gray-500 font-mono">
+              <span>{formatPosition(position)} / {formatPosition(duration)}</span>
+              <span>
+                {replay.frames.length === 0
+                  ? 'No detection data for this recording'
+                  : `Detection frame ${currentFrame ? currentFrame.frame + 1 : '–'} of ${replay.frames.length} · ${currentFrame?.faces.length ?? 0} face(s)`}
+              </span>
+            </div>
+
+            {/* Overlay Layers */}
+            <div className="flex flex-wrap justify-center gap-x-6 gap-y-2 mb-4 text-sm">
+              {OVERLAY_TOGGLES.map(({ key, label }) => (
+                <label key={key} className="flex items-center space-x-2 text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={options[key]}
+                    onChange={(e) => update({ [key]: e.target.checked })}
+                    className="w-4 h-4"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+
+            <FilterPicker value={options.filterId} onChange={(filterId) => update({ filterId })} />
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 text-center mt-2">
+          Record with the source set to Camera Only to keep the video clean; the overlay here is drawn on top. Use ← and → to step between detection frames.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
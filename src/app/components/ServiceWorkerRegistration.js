@@ -0,0 +1,43 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { registerServiceWorker, activateUpdate } from '../lib/serviceWorker';
+
+/**
+ * ServiceWorkerRegistration Component
+ *
+ * Registers the offline service worker once per page load and offers a
+ * reload when a new version of the app has been installed.
+ */
+const ServiceWorkerRegistration = () => {
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker({ onUpdate: setUpdate }).catch(err => {
+      console.warn('Service worker registration failed; offline use is unavailable:', err);
+    });
+  }, []);
+
+  if (!update) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-gray-900 text-white text-sm rounded-lg shadow-lg px-4 py-3 flex items-center space-x-4" role="status">
+      <span>A new version is available.</span>
+      <button
+        onClick={() => activateUpdate(update)}
+        className="font-semibold text-blue-300 hover:text-blue-200"
+      >
+        Reload
+      </button>
+      <button
+        onClick={() => setUpdate(null)}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default ServiceWorkerRegistration;
@@ -0,0 +1,378 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  listSessions,
+  getSessionMedia,
+  renameSession,
+  deleteSession,
+  getStorageEstimate,
+  requestPersistentStorage
+} from '../lib/sessionLibrary';
+import { toJsonLines } from '../lib/landmarkExport';
+import { toEventJson } from '../lib/sessionLog';
+import { downloadBlob, formatBytes } from '../lib/download';
+import { extensionForType } from '../lib/recordingFormats';
+import SessionReport from './SessionReport';
+
+// Browsers throttle rapid programmatic downloads; space them out a little
+const BULK_DOWNLOAD_DELAY = 300;
+
+/**
+ * Format a duration in milliseconds as m:ss
+ */
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * Save a session's video and, when present, its landmark track and events
+ */
+const downloadSession = async (session) => {
+  const media = await getSessionMedia(session.id);
+  if (!media) throw new Error(`Session ${session.id} has no stored media`);
+
+  downloadBlob(media.blob, `${session.name}.${extensionForType(session.type)}`);
+  if (media.landmarkFrames.length > 0) {
+    const landmarks = new Blob([toJsonLines(media.landmarkFrames)], { type: 'application/x-ndjson' });
+    downloadBlob(landmarks, `${session.name}_landmarks.jsonl`);
+  }
+  if (media.events?.length > 0) {
+    downloadBlob(new Blob([toEventJson(media.events)], { type: 'application/json' }), `${session.name}_events.json`);
+  }
+};
+
+/**
+ * SessionLibrary Component
+ *
+ * Browsable history of recordings kept in IndexedDB, with playback,
+ * overlay replay, reports, rename, delete, bulk download and storage usage.
+ * Nothing leaves the browser unless the user downloads it.
+ *
+ * @param {Object} props
+ * @param {number} props.version - Bumped by the parent whenever a session is saved
+ */
+const SessionLibrary = ({ version }) => {
+  const [sessions, setSessions] = useState([]);
+  const [selected, setSelected] = useState(() => new Set());
+  const [editing, setEditing] = useState(null);
+  const [playing, setPlaying] = useState(null);
+  const [reporting, setReporting] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Reload the library and storage estimate
+   */
+  const refresh = useCallback(async () => {
+    try {
+      const stored = await listSessions();
+      setSessions(stored);
+      setSelected(prev => new Set(stored.filter(s => prev.has(s.id)).map(s => s.id)));
+      setStorage(await getStorageEstimate());
+    } catch (err) {
+      console.error('Error loading session library:', err);
+      setMessage('Unable to open the local session library.');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, version]);
+
+  // Release the player's object URL when it is closed or replaced
+  useEffect(() => () => {
+    if (playing) URL.revokeObjectURL(playing.url);
+  }, [playing]);
+
+  const play = useCallback(async (session) => {
+    try {
+      const media = await getSessionMedia(session.id);
+      if (!media) throw new Error(`Session ${session.id} has no stored media`);
+      setPlaying({ id: session.id, name: session.name, url: URL.createObjectURL(media.blob) });
+    } catch (err) {
+      console.error('Session playback error:', err);
+      setMessage('Could not load this recording.');
+    }
+  }, []);
+
+  const showReport = useCallback(async (session) => {
+    try {
+      const media = await getSessionMedia(session.id);
+      if (!media) throw new Error(`Session ${session.id} has no stored media`);
+      setReporting({ ...session, frames: media.landmarkFrames });
+    } catch (err) {
+      console.error('Session report error:', err);
+      setMessage('Could not load the data for this recording.');
+    }
+  }, []);
+
+  const toggleSelected = useCallback((id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Apply an inline rename
+   */
+  const commitRename = useCallback(async () => {
+    if (!editing) return;
+
+    if (editing.name.trim()) {
+      try {
+        await renameSession(editing.id, editing.name);
+        await refresh();
+      } catch (err) {
+        console.error('Session rename error:', err);
+        setMessage('Could not rename this recording.');
+      }
+    }
+    setEditing(null);
+  }, [editing, refresh]);
+
+  const handleDelete = useCallback(async (targets) => {
+    const prompt = targets.length === 1
+      ? `Delete "${targets[0].name}" from the library?`
+      : `Delete ${targets.length} recordings from the library?`;
+    if (!window.confirm(prompt)) return;
+
+    setMessage(null);
+    try {
+      for (const session of targets) {
+        await deleteSession(session.id);
+      }
+    } catch (err) {
+      console.error('Session delete error:', err);
+      setMessage('Some recordings could not be deleted.');
+    }
+    if (targets.some(session => session.id === playing?.id)) {
+      setPlaying(null);
+    }
+    if (targets.some(session => session.id === reporting?.id)) {
+      setReporting(null);
+    }
+    await refresh();
+  }, [playing, reporting, refresh]);
+
+  /**
+   * Ask the browser not to evict the library; some browsers show a prompt
+   */
+  const keepStorage = useCallback(async () => {
+    const persisted = await requestPersistentStorage();
+    if (!persisted) {
+      setMessage('The browser declined to keep the library permanently; it may be cleared when space runs low.');
+    }
+    await refresh();
+  }, [refresh]);
+
+  const handleDownload = useCallback(async (targets) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      for (const [index, session] of targets.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, BULK_DOWNLOAD_DELAY));
+        await downloadSession(session);
+      }
+    } catch (err) {
+      console.error('Session download error:', err);
+      setMessage('Some recordings could not be downloaded.');
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const selectedSessions = sessions.filter(session => selected.has(session.id));
+  const allSelected = sessions.length > 0 && selectedSessions.length === sessions.length;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold text-gray-800">Session Library</h3>
+        {storage && (
+          <span
+            className="text-xs text-gray-500"
+            title={storage.persisted ? 'Storage is persistent' : 'The browser may clear this storage when space runs low'}
+          >
+            {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+            {!storage.persisted && storage.canPersist && (
+              <button onClick={keepStorage} className="ml-2 text-blue-600 hover:text-blue-800">
+                Keep permanently
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+
+      {storage && storage.quota > 0 && (
+        <div className="w-full bg-gray-200 rounded-full h-1 mb-3">
+          <div
+            className="bg-blue-500 h-1 rounded-full"
+            style={{ width: `${Math.min(storage.usage / storage.quota, 1) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {message && <p className="text-sm text-gray-600 mb-3">{message}</p>}
+
+      {/* Player */}
+      {playing && (
+        <div className="mb-3">
+          <div className="flex items-center justify-between mb-1 text-sm">
+            <span className="font-medium text-gray-700">{playing.name}</span>
+            <button onClick={() => setPlaying(null)} className="text-gray-600 hover:text-gray-800">
+              Close
+            </button>
+          </div>
+          <video key={playing.url} src={playing.url} controls autoPlay className="w-full rounded-lg bg-gray-900" />
+        </div>
+      )}
+
+      {/* Report */}
+      {reporting && (
+        <div className="mb-3">
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-700">Report: {reporting.name}</span>
+            <button onClick={() => setReporting(null)} className="text-gray-600 hover:text-gray-800">
+              Close
+            </button>
+          </div>
+          <SessionReport
+            key={reporting.id}
+            frames={reporting.frames}
+            name={reporting.name}
+            createdAt={reporting.createdAt}
+            open
+          />
+        </div>
+      )}
+
+      {/* Session List */}
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">Finished recordings are saved here automatically and stay on this device.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+            <label className="flex items-center space-x-2 text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? new Set() : new Set(sessions.map(s => s.id)))}
+                className="w-4 h-4"
+              />
+              <span>Select all</span>
+            </label>
+            <button
+              onClick={() => handleDownload(selectedSessions)}
+              disabled={busy || selectedSessions.length === 0}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Download selected ({selectedSessions.length})
+            </button>
+            <button
+              onClick={() => handleDelete(selectedSessions)}
+              disabled={selectedSessions.length === 0}
+              className="text-red-600 hover:text-red-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Delete selected
+            </button>
+          </div>
+
+          <ul className="divide-y divide-gray-200">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center space-x-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={selected.has(session.id)}
+                  onChange={() => toggleSelected(session.id)}
+                  aria-label={`Select ${session.name}`}
+                  className="w-4 h-4"
+                />
+
+                <button onClick={() => play(session)} className="shrink-0" title="Play">
+                  {session.thumbnail ? (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img src={session.thumbnail} alt={session.name} className="w-20 h-14 rounded object-cover" />
+                  ) : (
+                    <div className="w-20 h-14 rounded bg-gray-200" />
+                  )}
+                </button>
+
+                <div className="flex-1 min-w-0">
+                  {editing?.id === session.id ? (
+                    <input
+                      type="text"
+                      autoFocus
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename();
+                        if (e.key === 'Escape') setEditing(null);
+                      }}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-gray-800"
+                    />
+                  ) : (
+                    <p className="text-gray-800 truncate">{session.name}</p>
+                  )}
+                  <p className="text-xs text-gray-500 truncate">
+                    {new Date(session.createdAt).toLocaleString()} · {formatDuration(session.duration)} · {formatBytes(session.size)} · {session.device}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.stats.frames > 0
+                      ? `Face in ${Math.round(session.stats.faceFrames / session.stats.frames * 100)}% of frames · up to ${session.stats.maxFaces} at once · ${session.stats.people} tracked`
+                      : 'No detection data'}
+                  </p>
+                </div>
+
+                <a
+                  href={`/replay?session=${session.id}`}
+                  className={`text-sm ${session.stats.frames > 0 ? 'text-blue-600 hover:text-blue-800' : 'text-gray-400 pointer-events-none'}`}
+                  aria-disabled={session.stats.frames === 0}
+                >
+                  Replay
+                </a>
+                <button
+                  onClick={() => showReport(session)}
+                  disabled={session.stats.frames === 0}
+                  className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                >
+                  Report
+                </button>
+                <button
+                  onClick={() => setEditing({ id: session.id, name: session.name })}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => handleDownload([session])}
+                  disabled={busy}
+                  className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() => handleDelete([session])}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SessionLibrary;
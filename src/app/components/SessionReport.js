@@ -0,0 +1,91 @@
+"use client";
+
+import React, { useCallback, useMemo } from 'react';
+import {
+  buildSessionReport,
+  reportSummary,
+  timelineSvg,
+  heatmapSvg,
+  toReportJson,
+  toReportHtml,
+  formatReportTime
+} from '../lib/sessionReport';
+import { downloadBlob } from '../lib/download';
+
+/**
+ * SessionReport Component
+ *
+ * Post-session attention and presence report for one recording, with
+ * JSON and printable HTML exports.
+ *
+ * @param {Object} props
+ * @param {Array} props.frames - Frames from the recording's landmark track
+ * @param {string} props.name - Base file name without extension
+ * @param {number} [props.createdAt] - Epoch milliseconds of the recording
+ * @param {boolean} [props.open=false] - Start expanded
+ */
+const SessionReport = ({ frames, name, createdAt, open = false }) => {
+  const report = useMemo(() => buildSessionReport(frames, { name, createdAt }), [frames, name, createdAt]);
+
+  const downloadJson = useCallback(() => {
+    downloadBlob(new Blob([toReportJson(report)], { type: 'application/json' }), `${name}_report.json`);
+  }, [report, name]);
+
+  const downloadHtml = useCallback(() => {
+    downloadBlob(new Blob([toReportHtml(report)], { type: 'text/html' }), `${name}_report.html`);
+  }, [report, name]);
+
+  const print = useCallback(() => {
+    const popup = window.open('', '_blank');
+    if (!popup) return;
+    popup.document.write(toReportHtml(report));
+    popup.document.close();
+    popup.focus();
+    popup.print();
+  }, [report]);
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mt-6" open={open}>
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">Session Report</summary>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mt-4">
+        {reportSummary(report).map(({ label, value }) => (
+          <div key={label} className="bg-white border border-gray-200 rounded-lg p-3">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className="text-lg font-semibold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+        <div className="sm:col-span-2">
+          <p className="font-medium text-gray-700 mb-1">Faces Over Time</p>
+          {/* SVG markup is generated from numbers only */}
+          <div dangerouslySetInnerHTML={{ __html: timelineSvg(report) }} />
+        </div>
+        <div>
+          <p className="font-medium text-gray-700 mb-1">Face Position</p>
+          <div dangerouslySetInnerHTML={{ __html: heatmapSvg(report) }} />
+        </div>
+      </div>
+
+      {report.people.length > 0 && (
+        <ul className="mt-4 text-sm text-gray-600 space-y-1">
+          {report.people.map(person => (
+            <li key={person.trackId}>
+              #{person.trackId}{person.label ? ` ${person.label}` : ''}: on screen {formatReportTime(person.visibleMs)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex space-x-4 mt-4 text-sm">
+        <button onClick={downloadJson} className="text-blue-600 hover:text-blue-800">Download JSON</button>
+        <button onClick={downloadHtml} className="text-blue-600 hover:text-blue-800">Download HTML</button>
+        <button onClick={print} className="text-blue-600 hover:text-blue-800">Print</button>
+      </div>
+    </details>
+  );
+};
+
+export default SessionReport;
@@ -0,0 +1,100 @@
+"use client";
+
+import React from 'react';
+import { EXPORT_SOURCE_OPTIONS } from '../lib/smoothing';
+
+/**
+ * SmoothingSettings Component
+ *
+ * Collapsible panel that tunes the One Euro filter steadying the overlay,
+ * and chooses whether exports get raw or smoothed detections.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current smoothing settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ */
+const SmoothingSettings = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Smoothing
+        <span className="ml-2 text-sm font-normal text-gray-500">
+          {settings.enabled ? 'Overlay smoothed' : 'Raw overlay'}
+        </span>
+      </summary>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 mt-4 text-sm">
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>Smooth the overlay</span>
+        </label>
+
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.predict}
+            onChange={(e) => update({ predict: e.target.checked })}
+            disabled={!settings.enabled}
+            className="w-4 h-4"
+          />
+          <span>Predict between detections</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Steadiness: {settings.minCutoff.toFixed(1)} Hz</span>
+          <input
+            type="range"
+            min="0.1"
+            max="10"
+            step="0.1"
+            value={settings.minCutoff}
+            onChange={(e) => update({ minCutoff: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Cutoff at rest. Lower removes more jitter from a still face.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Responsiveness: {settings.beta.toFixed(3)}</span>
+          <input
+            type="range"
+            min="0"
+            max="0.2"
+            step="0.005"
+            value={settings.beta}
+            onChange={(e) => update({ beta: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Higher follows fast movement with less lag.</span>
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Exported data</span>
+          <select
+            value={settings.exportSource}
+            onChange={(e) => update({ exportSource: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white"
+          >
+            {EXPORT_SOURCE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">Used by landmark exports, the session library and onDetections.</span>
+        </label>
+      </div>
+
+      <p className="mt-4 text-xs text-gray-500">
+        Redaction always follows the raw detections, so smoothing never uncovers a face.
+      </p>
+    </details>
+  );
+};
+
+export default SmoothingSettings;
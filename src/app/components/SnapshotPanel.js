@@ -0,0 +1,259 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  SNAPSHOT_FORMATS,
+  BURST_PICK_OPTIONS,
+  DEFAULT_SNAPSHOT_SETTINGS,
+  sanitizeSnapshotSettings,
+  grabShot,
+  renderShot,
+  isRedacted,
+  alignedFaceCrop,
+  scoreShot,
+  canvasToBlob,
+  extensionForFormat
+} from '../lib/snapshots';
+import { downloadBlob, fileTimestamp } from '../lib/download';
+import { loadSetting, saveSetting } from '../lib/settings';
+
+const SNAPSHOT_SETTINGS_KEY = 'snapshotSettings';
+
+// Browsers throttle rapid programmatic downloads; space them out a little
+const DOWNLOAD_ALL_DELAY = 300;
+
+/**
+ * Make a person's name safe to use in a file name
+ */
+const fileSafe = (text) => text.replace(/[^\w-]+/g, '_');
+
+/**
+ * SnapshotPanel Component
+ *
+ * Shutter for still images of the live camera: a full frame with or without
+ * the overlay, plus an aligned crop of every face. Burst mode takes several
+ * shots and keeps the sharpest or most frontal one. Faces that would be
+ * redacted in a recording are redacted in the full frame and get no crop.
+ *
+ * @param {Object} props
+ * @param {Function} props.getVideo - Returns the live video element, or a canvas showing it
+ * @param {Function} props.getOverlay - Returns the overlay canvas, if any
+ * @param {Function} props.getFaces - Returns the current face records, in the pixels of getVideo()
+ * @param {Object} props.redaction - Current redaction settings
+ * @param {Set<number>} props.exemptTrackIds - Tracked faces left unredacted
+ * @param {boolean} [props.disabled=false] - Disable the shutter (e.g. camera not ready)
+ */
+const SnapshotPanel = ({ getVideo, getOverlay, getFaces, redaction, exemptTrackIds, disabled = false }) => {
+  const [settings, setSettings] = useState(DEFAULT_SNAPSHOT_SETTINGS);
+  const [shots, setShots] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Restore saved snapshot settings
+  useEffect(() => {
+    setSettings(sanitizeSnapshotSettings(loadSetting(SNAPSHOT_SETTINGS_KEY, {})));
+  }, []);
+
+  // Release preview URLs when the files are replaced
+  useEffect(() => () => {
+    shots.forEach(file => URL.revokeObjectURL(file.url));
+  }, [shots]);
+
+  const update = useCallback((changes) => {
+    setSettings(prev => {
+      const next = sanitizeSnapshotSettings({ ...prev, ...changes });
+      saveSetting(SNAPSHOT_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Take one shot, or a burst, and prepare the files to download
+   */
+  const takeSnapshot = useCallback(async () => {
+    const video = getVideo();
+    if (!(video?.videoWidth ?? video?.width)) return;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      let best = null;
+      for (let i = 0; i < settings.burstCount; i++) {
+        if (i > 0) await new Promise(resolve => setTimeout(resolve, settings.burstIntervalMs));
+
+        const shot = grabShot({
+          video,
+          overlay: settings.includeOverlay ? getOverlay() : null,
+          faces: getFaces()
+        });
+        shot.score = settings.burstCount > 1 ? scoreShot(shot, settings.burstPick) : 0;
+        if (!best || shot.score > best.score) best = shot;
+      }
+
+      const base = `snapshot_${fileTimestamp()}`;
+      const extension = extensionForFormat(settings.format);
+      const canvases = [{
+        name: `${base}.${extension}`,
+        canvas: renderShot(best, redaction, exemptTrackIds)
+      }];
+
+      if (settings.cropFaces) {
+        best.faces.filter(face => !isRedacted(face, redaction, exemptTrackIds)).forEach((face, index) => {
+          const id = face.trackId ?? index + 1;
+          const label = face.label ? `_${fileSafe(face.label)}` : '';
+          canvases.push({
+            name: `${base}_face${id}${label}.${extension}`,
+            canvas: alignedFaceCrop(best.frame, face, settings.cropSize)
+          });
+        });
+      }
+
+      const files = await Promise.all(canvases.map(async ({ name, canvas }) => {
+        const blob = await canvasToBlob(canvas, settings.format);
+        return { name, blob, url: URL.createObjectURL(blob) };
+      }));
+      setShots(files);
+
+      if (settings.cropFaces && best.faces.length === 0) {
+        setMessage('No face in this shot, so there are no face crops.');
+      }
+    } catch (err) {
+      console.error('Snapshot error:', err);
+      setMessage('Could not take a snapshot.');
+    } finally {
+      setBusy(false);
+    }
+  }, [getVideo, getOverlay, getFaces, settings, redaction, exemptTrackIds]);
+
+  const downloadAll = useCallback(async () => {
+    for (const [index, file] of shots.entries()) {
+      if (index > 0) await new Promise(resolve => setTimeout(resolve, DOWNLOAD_ALL_DELAY));
+      downloadBlob(file.blob, file.name);
+    }
+  }, [shots]);
+
+  const burst = settings.burstCount > 1;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mt-6">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+        <button
+          onClick={takeSnapshot}
+          disabled={disabled || busy}
+          className="bg-gray-800 hover:bg-gray-900 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium px-4 py-2 rounded-lg transition-colors duration-200"
+        >
+          {busy ? 'Capturing...' : burst ? `Burst (${settings.burstCount})` : 'Snapshot'}
+        </button>
+
+        <select
+          aria-label="Snapshot format"
+          value={settings.format}
+          onChange={(e) => update({ format: e.target.value })}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white"
+        >
+          {SNAPSHOT_FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center space-x-2 text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.includeOverlay}
+            onChange={(e) => update({ includeOverlay: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>Overlay</span>
+        </label>
+
+        <label className="flex items-center space-x-2 text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.cropFaces}
+            onChange={(e) => update({ cropFaces: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>Face crops</span>
+        </label>
+
+        <select
+          aria-label="Face crop size"
+          value={settings.cropSize}
+          onChange={(e) => update({ cropSize: Number(e.target.value) })}
+          disabled={!settings.cropFaces}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+        >
+          {[128, 256, 512].map(size => (
+            <option key={size} value={size}>{size} × {size}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-sm">
+        <label className="flex items-center space-x-2 text-gray-700">
+          <span>Burst:</span>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={settings.burstCount}
+            onChange={(e) => update({ burstCount: Number(e.target.value) })}
+            className="w-16 border border-gray-300 rounded-lg px-2 py-1 text-gray-800"
+          />
+          <span>shots</span>
+        </label>
+
+        <label className="flex items-center space-x-2 text-gray-700">
+          <span>every</span>
+          <input
+            type="number"
+            min="50"
+            max="2000"
+            step="50"
+            value={settings.burstIntervalMs}
+            onChange={(e) => update({ burstIntervalMs: Number(e.target.value) })}
+            disabled={!burst}
+            className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-gray-800 disabled:bg-gray-100"
+          />
+          <span>ms, keep</span>
+        </label>
+
+        <select
+          aria-label="Burst selection"
+          value={settings.burstPick}
+          onChange={(e) => update({ burstPick: e.target.value })}
+          disabled={!burst}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-gray-800 bg-white disabled:bg-gray-100"
+        >
+          {BURST_PICK_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {message && <p className="text-sm text-gray-600 mt-3">{message}</p>}
+
+      {shots.length > 0 && (
+        <div className="mt-3">
+          <div className="flex flex-wrap items-end gap-2">
+            {shots.map((file, index) => (
+              <a key={file.url} href={file.url} download={file.name} title={file.name}>
+                {/* eslint-disable-next-line @next/next/no-img-element */}
+                <img
+                  src={file.url}
+                  alt={file.name}
+                  className={`rounded border border-gray-200 bg-white ${index === 0 ? 'h-24' : 'h-16 w-16'}`}
+                />
+              </a>
+            ))}
+          </div>
+          <button onClick={downloadAll} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+            Download all ({shots.length})
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
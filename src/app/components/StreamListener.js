@@ -0,0 +1,158 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from 'react';
+import { STREAM_CHANNEL, STREAM_SCHEMA_VERSION } from '../lib/detectionStream';
+import { renderOverlay } from '../lib/overlay';
+
+// Presence changes kept in the log
+const LOG_LENGTH = 20;
+
+// How often the message rate is recomputed
+const RATE_INTERVAL = 1000;
+
+/**
+ * StreamListener Component
+ *
+ * Reference consumer of the detection stream. Listens on the same
+ * BroadcastChannel as the publisher and shows what arrives: a drawing of
+ * the latest faces, presence, the message rate and the raw last message.
+ * Its handling of each message type is the minimum any consumer needs; see
+ * docs/detection-stream.md.
+ */
+const StreamListener = () => {
+  const canvasRef = useRef(null);
+  const countRef = useRef(0);
+  const lastSeqRef = useRef(null);
+  const [supported, setSupported] = useState(true);
+  const [rate, setRate] = useState(0);
+  const [missed, setMissed] = useState(0);
+  const [presence, setPresence] = useState(null);
+  const [log, setLog] = useState([]);
+  const [lastMessage, setLastMessage] = useState(null);
+  const [newerVersion, setNewerVersion] = useState(null);
+
+  useEffect(() => {
+    if (typeof BroadcastChannel === 'undefined') {
+      setSupported(false);
+      return;
+    }
+
+    const channel = new BroadcastChannel(STREAM_CHANNEL);
+
+    channel.onmessage = ({ data: message }) => {
+      if (!message || typeof message !== 'object') return;
+      countRef.current += 1;
+      setLastMessage(message);
+
+      // Fields may have changed meaning in a newer schema; show it but warn
+      if (message.v > STREAM_SCHEMA_VERSION) setNewerVersion(message.v);
+
+      // A gap in seq means the publisher restarted or messages were lost
+      if (lastSeqRef.current !== null && message.seq !== lastSeqRef.current + 1) {
+        setMissed(count => count + 1);
+      }
+      lastSeqRef.current = message.seq;
+
+      if (message.type === 'presence') {
+        setPresence({ present: message.present, count: message.count });
+        setLog(entries => [message, ...entries].slice(0, LOG_LENGTH));
+      } else if (message.type === 'detections') {
+        const canvas = canvasRef.current;
+        if (!canvas || !message.sourceSize) return;
+        if (canvas.width !== message.sourceSize.width || canvas.height !== message.sourceSize.height) {
+          canvas.width = message.sourceSize.width;
+          canvas.height = message.sourceSize.height;
+        }
+        setPresence({ present: message.faces.length > 0, count: message.faces.length });
+        renderOverlay(canvas, message.faces, { sourceSize: message.sourceSize, showPose: true });
+      }
+    };
+
+    const timer = setInterval(() => {
+      setRate(countRef.current * 1000 / RATE_INTERVAL);
+      countRef.current = 0;
+    }, RATE_INTERVAL);
+
+    return () => {
+      clearInterval(timer);
+      channel.close();
+    };
+  }, []);
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
+      <div className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-4xl">
+        {/* Header */}
+        <div className="text-center mb-6">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Stream Listener</h1>
+          <p className="text-gray-600">
+            Shows the live detection stream; turn on &quot;Detection Stream&quot; in the tracker in another tab
+          </p>
+        </div>
+
+        {!supported && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+            This browser does not support BroadcastChannel.
+          </div>
+        )}
+
+        {newerVersion !== null && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
+            The tracker sends schema version {newerVersion}, but this page understands version {STREAM_SCHEMA_VERSION}. Reload both tabs.
+          </div>
+        )}
+
+        {/* Status */}
+        <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+          <span className={`px-3 py-1 rounded-full font-medium ${
+            rate > 0 ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+          }`}>
+            {rate > 0 ? `Receiving ${rate} msg/s` : 'Waiting for messages'}
+          </span>
+          {presence && (
+            <span className={`px-3 py-1 rounded-full font-medium ${
+              presence.present ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
+            }`}>
+              {presence.present ? `${presence.count} face${presence.count === 1 ? '' : 's'} present` : 'Nobody present'}
+            </span>
+          )}
+          {missed > 0 && <span className="text-gray-500">{missed} sequence gap{missed === 1 ? '' : 's'}</span>}
+        </div>
+
+        {/* Latest faces */}
+        <div className="bg-gray-900 rounded-xl mb-4 overflow-hidden">
+          <canvas ref={canvasRef} width={640} height={480} className="w-full h-auto" />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div className="bg-gray-50 rounded-lg p-4">
+            <h2 className="font-semibold text-gray-800 mb-2">Presence Changes</h2>
+            {log.length === 0 ? (
+              <p className="text-gray-500">None yet</p>
+            ) : (
+              <ul className="space-y-1">
+                {log.map(entry => (
+                  <li key={entry.seq} className="text-gray-700">
+                    <span className="text-gray-500 font-mono mr-2">{new Date(entry.time).toLocaleTimeString()}</span>
+                    {entry.entered.length > 0 && <span className="text-green-700 mr-2">+{entry.entered.join(', +')}</span>}
+                    {entry.left.length > 0 && <span className="text-red-700 mr-2">−{entry.left.join(', −')}</span>}
+                    <span className="text-gray-500">({entry.count} present)</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 rounded-lg p-4 min-w-0">
+            <h2 className="font-semibold text-gray-800 mb-2">Last Message</h2>
+            <pre className="text-xs text-gray-700 overflow-auto max-h-64">
+              {lastMessage ? JSON.stringify(lastMessage, null, 2) : 'None yet'}
+            </pre>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StreamListener;
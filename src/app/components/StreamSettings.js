@@ -0,0 +1,125 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { isLoopbackSocketUrl, SOCKET_STATES } from '../lib/detectionStream';
+
+const SOCKET_LABELS = {
+  [SOCKET_STATES.OFF]: { text: 'Not connected', className: 'text-gray-500' },
+  [SOCKET_STATES.CONNECTING]: { text: 'Connecting...', className: 'text-yellow-700' },
+  [SOCKET_STATES.OPEN]: { text: 'Connected', className: 'text-green-700' },
+  [SOCKET_STATES.RETRYING]: { text: 'Unreachable, retrying', className: 'text-red-700' }
+};
+
+/**
+ * StreamSettings Component
+ *
+ * Collapsible panel for the live detection stream: on or off, the
+ * BroadcastChannel and WebSocket transports, the endpoint and the rate.
+ *
+ * @param {Object} props
+ * @param {Object} props.settings - Current stream settings
+ * @param {Function} props.onChange - Called with the complete new settings
+ * @param {{ socket: string, retryInMs: number|null }} props.status - WebSocket state from the publisher
+ */
+const StreamSettings = ({ settings, onChange, status }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // Edit the URL locally and apply it on blur, so typing does not reconnect per keystroke
+  const [url, setUrl] = useState(settings.url);
+  useEffect(() => setUrl(settings.url), [settings.url]);
+
+  const urlValid = isLoopbackSocketUrl(url);
+  const socketLabel = SOCKET_LABELS[status.socket] ?? SOCKET_LABELS[SOCKET_STATES.OFF];
+
+  return (
+    <details className="bg-gray-50 rounded-lg p-4 mb-6">
+      <summary className="font-semibold text-gray-800 cursor-pointer select-none">
+        Detection Stream
+        <span className="ml-2 text-sm font-normal text-gray-500">
+          {settings.enabled
+            ? [settings.broadcast && 'Browser tabs', settings.websocket && 'WebSocket'].filter(Boolean).join(' + ') || 'No outputs'
+            : 'Off'}
+        </span>
+      </summary>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 mt-4 text-sm">
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>Publish live detections</span>
+        </label>
+
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.broadcast}
+            onChange={(e) => update({ broadcast: e.target.checked })}
+            disabled={!settings.enabled}
+            className="w-4 h-4"
+          />
+          <span>Same-origin tabs (BroadcastChannel)</span>
+        </label>
+
+        <label className="flex items-center space-x-2 font-medium text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.websocket}
+            onChange={(e) => update({ websocket: e.target.checked })}
+            disabled={!settings.enabled}
+            className="w-4 h-4"
+          />
+          <span>Local WebSocket</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 text-sm">
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">WebSocket URL</span>
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            onBlur={() => update({ url })}
+            onKeyDown={(e) => e.key === 'Enter' && update({ url })}
+            disabled={!settings.enabled || !settings.websocket}
+            spellCheck={false}
+            className={`border rounded-lg px-3 py-2 text-gray-800 bg-white font-mono ${urlValid ? 'border-gray-300' : 'border-red-400'}`}
+          />
+          {urlValid ? (
+            settings.enabled && settings.websocket && (
+              <span className={`text-xs ${socketLabel.className}`}>
+                {socketLabel.text}
+                {status.socket === SOCKET_STATES.RETRYING && status.retryInMs !== null && ` in ${Math.round(status.retryInMs / 1000)} s`}
+              </span>
+            )
+          ) : (
+            <span className="text-xs text-red-600">Use ws:// or wss:// on localhost, 127.0.0.1 or [::1].</span>
+          )}
+        </label>
+
+        <label className="flex flex-col space-y-1">
+          <span className="font-medium text-gray-700">Max Rate: {settings.maxRate} messages/s</span>
+          <input
+            type="range"
+            min="1"
+            max="30"
+            step="1"
+            value={settings.maxRate}
+            onChange={(e) => update({ maxRate: Number(e.target.value) })}
+          />
+          <span className="text-xs text-gray-500">Presence changes are always sent right away.</span>
+        </label>
+      </div>
+
+      <p className="mt-4 text-xs text-gray-500">
+        Only this machine can receive the stream. Open the <a href="/stream" target="_blank" rel="noopener" className="text-blue-600 hover:text-blue-800">reference listener</a> in another tab to watch it.
+      </p>
+    </details>
+  );
+};
+
+export default StreamSettings;
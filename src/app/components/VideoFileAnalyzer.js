@@ -0,0 +1,406 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createCompositor } from '../lib/compositor';
+import { createLandmarkTrack, serializeFace, findFrameAt } from '../lib/landmarkExport';
+import { fileTimestamp } from '../lib/download';
+import { detectFaces } from '../lib/detection';
+import { renderOverlay } from '../lib/overlay';
+import { loadVideo, seekVideo, waitForEvent, measureFrameInterval } from '../lib/media';
+import { createFaceTracker } from '../lib/tracker';
+import { createRecorder, recordedBlobType } from '../lib/recordingFormats';
+import { createSessionThumbnail } from '../lib/sessionLibrary';
+import { drawRedactions, facesAt } from '../lib/redaction';
+import { createFaceSmoother, EXPORT_SOURCES } from '../lib/smoothing';
+import RecordingDownloads from './RecordingDownloads';
+import SessionReport from './SessionReport';
+
+// Assumed when the browser cannot measure a file's frame rate
+const FALLBACK_FRAME_RATE = 30;
+
+/**
+ * VideoFileAnalyzer Component
+ *
+ * Runs the detection pipeline over an existing video file. Analysis seeks
+ * through the file frame by frame, independent of playback speed. The
+ * overlay video is then rendered by playing the file once in real time
+ * while the stored detections are composited on top, keeping its sound.
+ *
+ * @param {Object} props
+ * @param {boolean} props.modelsLoaded - Whether detection models are ready
+ * @param {Object} props.settings - Detector settings shared with the live camera
+ * @param {Object} props.recordingPrefs - Container and bitrate preferences
+ * @param {Object} props.redaction - Redaction settings applied to the rendered video
+ * @param {Object} props.smoothing - Smoothing settings for the overlay and exports
+ * @param {Function} [props.onSessionComplete] - Called with the finished session for the library
+ */
+const VideoFileAnalyzer = ({ modelsLoaded, settings, recordingPrefs, redaction, smoothing, onSessionComplete }) => {
+  const videoRef = useRef(null);
+  const previewRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const sourceURLRef = useRef(null);
+  const audioRef = useRef(null);
+
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [videoURL, setVideoURL] = useState(null);
+  const [videoType, setVideoType] = useState('video/webm');
+  const [recordingName, setRecordingName] = useState('');
+  const [landmarkFrames, setLandmarkFrames] = useState([]);
+
+  const busy = status === 'analyzing' || status === 'rendering';
+
+  /**
+   * Paint a video frame and its overlay into the preview canvas
+   *
+   * @param {HTMLCanvasElement} overlay
+   * @param {Array} [redactFaces] - Faces to redact, as they will be in the rendered video
+   */
+  const drawPreview = useCallback((overlay, redactFaces = []) => {
+    const preview = previewRef.current;
+    if (!preview) return;
+
+    const ctx = preview.getContext('2d');
+    ctx.drawImage(videoRef.current, 0, 0, preview.width, preview.height);
+    drawRedactions(ctx, redactFaces, {
+      ...redaction,
+      sourceSize: { width: preview.width, height: preview.height }
+    });
+    ctx.drawImage(overlay, 0, 0, preview.width, preview.height);
+  }, [redaction]);
+
+  /**
+   * Detect faces on every frame of the loaded file
+   *
+   * @returns {Promise<{ raw: Array, smoothed: Array }|null>} Raw and smoothed
+   *   landmark frames, or null if cancelled
+   */
+  const analyzeFrames = useCallback(async (overlay, sourceSize, duration) => {
+    const video = videoRef.current;
+    const rawTrack = createLandmarkTrack();
+    const smoothedTrack = createLandmarkTrack();
+    const tracker = createFaceTracker();
+    const smoother = createFaceSmoother(smoothing);
+    const interval = await measureFrameInterval(video) ?? 1 / FALLBACK_FRAME_RATE;
+    const frameCount = Math.max(Math.round(duration / interval), 1);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (cancelledRef.current) return null;
+
+      // Seek to the middle of the frame so rounding cannot land on its neighbour
+      const time = frame * interval;
+      await seekVideo(video, Math.min(time + interval / 2, duration));
+      const detected = (await detectFaces(video, { settings })).map(serializeFace);
+      const faces = tracker.update(detected, time * 1000);
+      const smoothed = smoother.update(faces, time * 1000);
+      rawTrack.addFrame(time * 1000, faces, sourceSize);
+      smoothedTrack.addFrame(time * 1000, smoothed, sourceSize, { smoothed: true });
+
+      renderOverlay(overlay, smoothing.enabled ? smoothed : faces, { sourceSize });
+      drawPreview(overlay);
+      setProgress((frame + 1) / frameCount);
+    }
+
+    return { raw: rawTrack.getFrames(), smoothed: smoothedTrack.getFrames() };
+  }, [drawPreview, settings, smoothing]);
+
+  /**
+   * The source video's sound as audio tracks for the rendered file
+   *
+   * A media element can only ever be connected to one audio graph, so the
+   * graph is built once and kept for the component's lifetime.
+   *
+   * @returns {Promise<MediaStreamTrack[]>} Empty when Web Audio is unavailable
+   */
+  const getAudioTracks = useCallback(async () => {
+    if (!audioRef.current) {
+      const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+      if (!AudioContextClass) return [];
+
+      // Route audio into the recording instead of the speakers
+      const context = new AudioContextClass();
+      const destination = context.createMediaStreamDestination();
+      context.createMediaElementSource(videoRef.current).connect(destination);
+      audioRef.current = { context, destination };
+    }
+
+    await audioRef.current.context.resume();
+    return audioRef.current.destination.stream.getAudioTracks();
+  }, []);
+
+  /**
+   * Play the file once and record it with the stored detections overlaid
+   *
+   * Smoothed overlays are interpolated between detection ticks. Redaction
+   * always follows the raw detections.
+   */
+  const renderVideo = useCallback(async (overlay, sourceSize, { raw, smoothed }) => {
+    const video = videoRef.current;
+    video.muted = false;
+    await seekVideo(video, 0);
+
+    const compositor = createCompositor({
+      video,
+      overlay,
+      width: sourceSize.width,
+      height: sourceSize.height,
+      fps: 30,
+      onFrame: () => {
+        const t = video.currentTime * 1000;
+        const faces = smoothing.enabled ? facesAt(smoothed, t) : findFrameAt(raw, t)?.faces ?? [];
+        renderOverlay(overlay, faces, { sourceSize });
+        drawPreview(overlay, facesAt(raw, t));
+      },
+      onVideoFrame: (ctx) => {
+        drawRedactions(ctx, facesAt(raw, video.currentTime * 1000), { ...redaction, sourceSize });
+      }
+    });
+
+    const audioTracks = await getAudioTracks();
+    const chunks = [];
+    const recorder = createRecorder(new MediaStream([...compositor.stream.getVideoTracks(), ...audioTracks]), recordingPrefs);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    const handleTimeUpdate = () => setProgress(video.currentTime / video.duration);
+    video.addEventListener('timeupdate', handleTimeUpdate);
+
+    try {
+      const stopped = waitForEvent(recorder, 'stop');
+      recorder.start(100);
+
+      // 'pause' fires both at the end of the file and on cancel
+      const finished = waitForEvent(video, 'pause');
+      try {
+        await video.play();
+      } catch (err) {
+        // Without a recent click the browser may refuse to play sound; keep the picture
+        if (err.name !== 'NotAllowedError') throw err;
+        console.warn('Autoplay with sound was blocked; rendering without audio');
+        video.muted = true;
+        await video.play();
+      }
+      await finished;
+
+      recorder.stop();
+      await stopped;
+    } finally {
+      video.removeEventListener('timeupdate', handleTimeUpdate);
+      compositor.stop();
+    }
+
+    return cancelledRef.current ? null : new Blob(chunks, { type: recordedBlobType(recorder) });
+  }, [drawPreview, getAudioTracks, recordingPrefs, redaction, smoothing]);
+
+  /**
+   * Analyze a file and produce an overlay video plus landmark track
+   *
+   * @param {File} file - Dropped or selected video file
+   */
+  const processFile = useCallback(async (file) => {
+    if (!file || !modelsLoaded || busy) return;
+
+    if (!file.type.startsWith('video/')) {
+      setError('Please choose a video file (MP4 or WebM).');
+      return;
+    }
+
+    cancelledRef.current = false;
+    setError(null);
+    setFileName(file.name);
+    setLandmarkFrames([]);
+    setVideoURL(prev => {
+      if (prev) URL.revokeObjectURL(prev);
+      return null;
+    });
+
+    if (sourceURLRef.current) {
+      URL.revokeObjectURL(sourceURLRef.current);
+    }
+    sourceURLRef.current = URL.createObjectURL(file);
+
+    try {
+      const video = videoRef.current;
+      const { width, height, duration } = await loadVideo(video, sourceURLRef.current);
+      if (!width || !height || !Number.isFinite(duration)) {
+        throw new Error('Video has no readable frames');
+      }
+
+      const sourceSize = { width, height };
+      previewRef.current.width = width;
+      previewRef.current.height = height;
+
+      const overlay = document.createElement('canvas');
+      overlay.width = width;
+      overlay.height = height;
+
+      setStatus('analyzing');
+      setProgress(0);
+      const analysis = await analyzeFrames(overlay, sourceSize, duration);
+      if (!analysis) {
+        setStatus('idle');
+        return;
+      }
+
+      setStatus('rendering');
+      setProgress(0);
+      const blob = await renderVideo(overlay, sourceSize, analysis);
+      if (!blob) {
+        setStatus('idle');
+        return;
+      }
+
+      const frames = smoothing.exportSource === EXPORT_SOURCES.SMOOTHED ? analysis.smoothed : analysis.raw;
+      const baseName = file.name.replace(/\.[^.]+$/, '');
+      const name = `${baseName}_analysis_${fileTimestamp()}`;
+      setRecordingName(name);
+      setLandmarkFrames(frames);
+      setVideoURL(URL.createObjectURL(blob));
+      setVideoType(blob.type);
+      setStatus('done');
+
+      onSessionComplete?.({
+        name,
+        blob,
+        duration: duration * 1000,
+        device: file.name,
+        landmarkFrames: frames,
+        thumbnail: createSessionThumbnail(previewRef.current, width, height)
+      });
+    } catch (err) {
+      console.error('Video analysis error:', err);
+      setError('Failed to analyze video file. Please ensure it is a playable MP4 or WebM file.');
+      setStatus('idle');
+    }
+  }, [modelsLoaded, busy, analyzeFrames, renderVideo, smoothing.exportSource, onSessionComplete]);
+
+  /**
+   * Abort the current analysis or render
+   */
+  const cancel = useCallback(() => {
+    cancelledRef.current = true;
+    videoRef.current?.pause();
+  }, []);
+
+  // Stop work and release object URLs on unmount
+  useEffect(() => {
+    const video = videoRef.current;
+    return () => {
+      cancelledRef.current = true;
+      video?.pause();
+      if (sourceURLRef.current) {
+        URL.revokeObjectURL(sourceURLRef.current);
+      }
+      audioRef.current?.context.close();
+    };
+  }, []);
+
+  useEffect(() => () => {
+    if (videoURL) URL.revokeObjectURL(videoURL);
+  }, [videoURL]);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    processFile(event.dataTransfer.files[0]);
+  };
+
+  return (
+    <div className="mb-6">
+      {/* Hidden source video driven by the analyzer */}
+      <video ref={videoRef} playsInline className="hidden" />
+
+      {/* Drop Zone */}
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center border-2 border-dashed rounded-xl p-8 mb-4 text-center transition-colors duration-200 ${
+          busy || !modelsLoaded ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'
+        } ${dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50 hover:border-blue-400'}`}
+      >
+        <svg className="w-10 h-10 text-blue-500 mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+        </svg>
+        <p className="font-medium text-gray-800">Drop a video here or click to choose a file</p>
+        <p className="text-sm text-gray-500">MP4 or WebM, processed entirely in your browser</p>
+        <input
+          type="file"
+          accept="video/mp4,video/webm,video/*"
+          className="hidden"
+          disabled={busy || !modelsLoaded}
+          onChange={(e) => {
+            processFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </label>
+
+      {/* Error Display */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {/* Preview */}
+      <div className={`flex justify-center mb-4 ${fileName ? '' : 'hidden'}`}>
+        <canvas ref={previewRef} className="w-full max-w-3xl bg-gray-900 rounded-xl shadow-lg" />
+      </div>
+
+      {/* Progress */}
+      {busy && (
+        <div className="mb-4">
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>
+              {status === 'analyzing' ? 'Analyzing frames' : 'Rendering overlay video'} — {fileName}
+            </span>
+            <span>{Math.round(progress * 100)}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-500 h-2 rounded-full transition-all duration-200"
+              style={{ width: `${Math.round(progress * 100)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Controls */}
+      <div className="flex flex-col sm:flex-row items-center justify-center space-y-3 sm:space-y-0 sm:space-x-4">
+        {busy && (
+          <button
+            onClick={cancel}
+            className="w-full sm:w-auto bg-red-500 hover:bg-red-600 text-white font-medium px-6 py-3 rounded-lg transition-colors duration-200"
+          >
+            Cancel
+          </button>
+        )}
+
+        {status === 'done' && (
+          <RecordingDownloads
+            videoURL={videoURL}
+            videoType={videoType}
+            name={recordingName}
+            landmarkFrames={landmarkFrames}
+          />
+        )}
+      </div>
+
+      {status === 'done' && landmarkFrames.length > 0 && (
+        <SessionReport frames={landmarkFrames} name={recordingName} />
+      )}
+    </div>
+  );
+};
+
+export default VideoFileAnalyzer;
@@ -0,0 +1,298 @@
+/**
+ * Auto-Framing
+ *
+ * A virtual camera that pans and zooms a crop of the camera feed to keep
+ * the detected faces centered, like "center stage" in conferencing apps.
+ * The crop is sized so the faces fill a chosen share of its height, with a
+ * chosen headroom above them, and eases toward each new target so detection
+ * jitter never shows as camera shake.
+ *
+ * The framer works in source video pixels. The virtual camera paints the
+ * current crop into a canvas at a fixed output size and exposes it as a
+ * MediaStream, which the preview, the recorder and host apps all consume.
+ */
+
+/**
+ * Output aspect ratios, with the virtual camera resolution for each
+ */
+export const FRAMING_ASPECTS = [
+  { value: '4:3', label: '4:3', ratio: 4 / 3, width: 960, height: 720 },
+  { value: '16:9', label: '16:9', ratio: 16 / 9, width: 1280, height: 720 },
+  { value: '1:1', label: '1:1', ratio: 1, width: 720, height: 720 },
+  { value: '9:16', label: '9:16', ratio: 9 / 16, width: 720, height: 1280 }
+];
+
+/**
+ * Auto-framing settings used when nothing has been saved
+ */
+export const DEFAULT_FRAMING_SETTINGS = {
+  enabled: false,
+  aspect: '4:3',
+  faceSize: 0.35,
+  headroom: 0.15,
+  followMs: 500
+};
+
+// Never zoom in further than this, so the crop keeps usable resolution
+const MAX_ZOOM = 4;
+
+// Ignore target changes smaller than this share of the crop, so a still
+// subject gets a still camera
+const DEAD_ZONE = 0.05;
+
+// Space kept beside the outermost faces when framing a group
+const GROUP_MARGIN = 0.1;
+
+// Wait this long without a face before pulling back to the full frame
+const HOLD_MS = 1500;
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeFramingSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_FRAMING_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    enabled: Boolean(merged.enabled),
+    aspect: FRAMING_ASPECTS.some(option => option.value === merged.aspect)
+      ? merged.aspect
+      : DEFAULT_FRAMING_SETTINGS.aspect,
+    faceSize: clamp(merged.faceSize, 0.1, 0.6, DEFAULT_FRAMING_SETTINGS.faceSize),
+    headroom: clamp(merged.headroom, 0, 0.4, DEFAULT_FRAMING_SETTINGS.headroom),
+    followMs: clamp(merged.followMs, 100, 3000, DEFAULT_FRAMING_SETTINGS.followMs)
+  };
+};
+
+/**
+ * Look up an aspect option by value
+ *
+ * @param {string} value - One of FRAMING_ASPECTS values
+ * @returns {Object}
+ */
+export const framingAspect = (value) =>
+  FRAMING_ASPECTS.find(option => option.value === value) ?? FRAMING_ASPECTS[0];
+
+/**
+ * Largest crop of `ratio` that fits the source, centered
+ *
+ * @param {{ width: number, height: number }} sourceSize
+ * @param {number} ratio - Width / height
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const fullFrameCrop = (sourceSize, ratio) => {
+  const width = Math.min(sourceSize.width, sourceSize.height * ratio);
+  const height = width / ratio;
+  return {
+    x: (sourceSize.width - width) / 2,
+    y: (sourceSize.height - height) / 2,
+    width,
+    height
+  };
+};
+
+/**
+ * Crop that frames a set of faces
+ *
+ * @param {Array} faces - Face records in source pixels
+ * @param {{ width: number, height: number }} sourceSize
+ * @param {Object} settings - Framing settings
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const framingTarget = (faces, sourceSize, settings) => {
+  const { ratio } = framingAspect(settings.aspect);
+  const full = fullFrameCrop(sourceSize, ratio);
+  if (faces.length === 0) return full;
+
+  const left = Math.min(...faces.map(face => face.box.x));
+  const top = Math.min(...faces.map(face => face.box.y));
+  const right = Math.max(...faces.map(face => face.box.x + face.box.width));
+  const bottom = Math.max(...faces.map(face => face.box.y + face.box.height));
+
+  // Fit the faces' height at the chosen size, and a group's width with a margin
+  let height = Math.max(
+    (bottom - top) / settings.faceSize,
+    (right - left) * (1 + 2 * GROUP_MARGIN) / ratio,
+    full.height / MAX_ZOOM
+  );
+  height = Math.min(height, full.height);
+  const width = height * ratio;
+
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  return {
+    x: clamp((left + right) / 2 - width / 2, 0, sourceSize.width - width),
+    y: clamp(top - settings.headroom * height, 0, sourceSize.height - height),
+    width,
+    height
+  };
+};
+
+/**
+ * Follow faces with an eased crop
+ *
+ * @param {Object} settings - Framing settings; see configure()
+ * @returns {{ update: Function, cropAt: Function, configure: Function, reset: Function }}
+ */
+export const createAutoFramer = (settings) => {
+  let current = settings;
+  let sourceSize = null;
+  let target = null;
+  let crop = null;
+  let lastSeen = -Infinity;
+  let lastT = null;
+
+  /**
+   * Move the target, unless the change is within the dead zone
+   */
+  const retarget = (next) => {
+    if (target) {
+      const tolerance = DEAD_ZONE * target.height;
+      const moved = Math.abs(next.x + next.width / 2 - (target.x + target.width / 2)) > tolerance
+        || Math.abs(next.y - target.y) > tolerance
+        || Math.abs(next.height - target.height) > tolerance;
+      if (!moved) return;
+    }
+    target = next;
+  };
+
+  return {
+    /**
+     * Aim at the faces of one detection tick
+     *
+     * @param {Array} faces - Face records in source pixels
+     * @param {number} t - Capture time in milliseconds
+     * @param {{ width: number, height: number }} size - Source video size
+     */
+    update: (faces, t, size) => {
+      if (!sourceSize || sourceSize.width !== size.width || sourceSize.height !== size.height) {
+        sourceSize = { ...size };
+        target = null;
+        crop = null;
+      }
+
+      if (faces.length > 0) {
+        lastSeen = t;
+        retarget(framingTarget(faces, sourceSize, current));
+      } else if (t - lastSeen > HOLD_MS) {
+        retarget(fullFrameCrop(sourceSize, framingAspect(current.aspect).ratio));
+      }
+    },
+
+    /**
+     * Crop to show at time `t`, eased toward the latest target
+     *
+     * @param {number} t - Milliseconds on the same clock as update()
+     * @param {{ width: number, height: number }} size - Source video size, used
+     *   before the first update
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    cropAt: (t, size) => {
+      const goal = target ?? fullFrameCrop(sourceSize ?? size, framingAspect(current.aspect).ratio);
+      if (!crop || lastT === null) {
+        crop = { ...goal };
+      } else {
+        // Exponential approach: about 63% of the way every followMs
+        const amount = 1 - Math.exp(-Math.max(t - lastT, 0) / current.followMs);
+        crop = {
+          x: crop.x + (goal.x - crop.x) * amount,
+          y: crop.y + (goal.y - crop.y) * amount,
+          width: crop.width + (goal.width - crop.width) * amount,
+          height: crop.height + (goal.height - crop.height) * amount
+        };
+      }
+      lastT = t;
+      return crop;
+    },
+
+    /**
+     * Apply new settings; an aspect change reframes immediately
+     *
+     * @param {Object} settings - Framing settings
+     */
+    configure: (settings) => {
+      if (settings.aspect !== current.aspect) {
+        target = null;
+        crop = null;
+      }
+      current = settings;
+    },
+
+    reset: () => {
+      sourceSize = null;
+      target = null;
+      crop = null;
+      lastSeen = -Infinity;
+      lastT = null;
+    }
+  };
+};
+
+/**
+ * Map face records from source pixels into a crop
+ *
+ * Draw the result with `sourceSize` set to the crop's size, or pass the
+ * output scale to get records in output pixels.
+ *
+ * @param {Array} faces - Face records in source pixels
+ * @param {{ x: number, y: number }} crop
+ * @param {number} [scale=1] - Output pixels per source pixel
+ * @returns {Array} Face records in crop pixels
+ */
+export const facesInCrop = (faces, crop, scale = 1) => faces.map(face => ({
+  ...face,
+  box: {
+    x: (face.box.x - crop.x) * scale,
+    y: (face.box.y - crop.y) * scale,
+    width: face.box.width * scale,
+    height: face.box.height * scale
+  },
+  landmarks: face.landmarks.map(([x, y]) => [(x - crop.x) * scale, (y - crop.y) * scale])
+}));
+
+/**
+ * Create a virtual camera that paints the framer's crop of a video
+ *
+ * @param {Object} options
+ * @param {HTMLVideoElement} options.video - Live camera element
+ * @param {Object} options.framer - From createAutoFramer
+ * @param {string} options.aspect - One of FRAMING_ASPECTS values
+ * @param {number} [options.fps=30] - Output frame rate
+ * @returns {{ canvas: HTMLCanvasElement, stream: MediaStream, getCrop: Function, stop: Function }}
+ *   `getCrop` returns the crop of the frame on the canvas, or null before the first one
+ */
+export const createVirtualCamera = ({ video, framer, aspect, fps = 30 }) => {
+  const { width, height } = framingAspect(aspect);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  let crop = null;
+
+  const drawFrame = () => {
+    // Skip until the video has decoded data
+    if (video.readyState < 2 || !video.videoWidth) return;
+
+    crop = framer.cropAt(performance.now(), { width: video.videoWidth, height: video.videoHeight });
+    ctx.drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+  };
+
+  // A timer rather than requestAnimationFrame keeps recordings going in
+  // background tabs, like the compositor
+  drawFrame();
+  const timer = setInterval(drawFrame, 1000 / fps);
+  const stream = canvas.captureStream(fps);
+
+  return {
+    canvas,
+    stream,
+    getCrop: () => crop,
+    stop: () => {
+      clearInterval(timer);
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+};
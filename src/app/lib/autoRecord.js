@@ -0,0 +1,97 @@
+/**
+ * Automatic Recording
+ *
+ * Settings for face-triggered recording and the pre-roll buffer that lets a
+ * clip include the seconds before the face appeared.
+ *
+ * MediaRecorder output cannot be cut at arbitrary points: a WebM or MP4 file
+ * is only playable from the start of its recorder. The pre-roll therefore
+ * keeps two overlapping takes running, started `durationMs` apart, and hands
+ * over the older one when a clip starts. That take already holds between one
+ * and two pre-roll lengths of video.
+ */
+
+/**
+ * Automatic recording settings used when nothing has been saved
+ */
+export const DEFAULT_AUTO_RECORD_SETTINGS = {
+  enabled: false,
+  stopAfterMs: 5000,
+  preRollMs: 3000,
+  maxClipMs: 60000
+};
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeAutoRecordSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_AUTO_RECORD_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    enabled: Boolean(merged.enabled),
+    stopAfterMs: clamp(merged.stopAfterMs, 1000, 60000, DEFAULT_AUTO_RECORD_SETTINGS.stopAfterMs),
+    preRollMs: clamp(merged.preRollMs, 0, 10000, DEFAULT_AUTO_RECORD_SETTINGS.preRollMs),
+    maxClipMs: clamp(merged.maxClipMs, 10000, 600000, DEFAULT_AUTO_RECORD_SETTINGS.maxClipMs)
+  };
+};
+
+/**
+ * Keep recording in the background so a clip can start in the past
+ *
+ * @param {Object} options
+ * @param {Function} options.startTake - Starts a take and returns it; takes
+ *   must have a `discard()` method that stops them without saving
+ * @param {number} options.durationMs - Minimum pre-roll length
+ * @returns {{ start: Function, claim: Function, stop: Function }}
+ */
+export const createPreRoll = ({ startTake, durationMs }) => {
+  let takes = [];
+  let timer = null;
+
+  const rotate = () => {
+    takes.push(startTake());
+    // The older of the two newest takes always covers at least durationMs
+    while (takes.length > 2) takes.shift().discard();
+  };
+
+  return {
+    /**
+     * Begin buffering; does nothing if already running
+     */
+    start: () => {
+      if (timer) return;
+      rotate();
+      timer = setInterval(rotate, durationMs);
+    },
+
+    /**
+     * Stop buffering and hand over the oldest take
+     *
+     * @returns {Object|null} The take, still recording, or null if none was
+     *   running. Shortly after start it holds less than durationMs.
+     */
+    claim: () => {
+      clearInterval(timer);
+      timer = null;
+      const [oldest = null, ...rest] = takes;
+      takes = [];
+      rest.forEach(take => take.discard());
+      return oldest;
+    },
+
+    /**
+     * Stop buffering and discard everything
+     */
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+      takes.forEach(take => take.discard());
+      takes = [];
+    }
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * Blink and Drowsiness Detection
+ *
+ * Uses the eye aspect ratio (EAR, Soukupová & Čech 2016): the ratio of the
+ * eye's vertical openings to its width, which drops toward zero when the
+ * eye closes and is largely independent of face size and head yaw.
+ *
+ * Short closures are counted as blinks; long ones raise an alert, as does
+ * a blink rate above a configurable limit. Detection ticks are the time
+ * resolution, so blinks shorter than one tick can be missed at low
+ * detection rates.
+ */
+
+/**
+ * Blink settings used when nothing has been saved
+ */
+export const DEFAULT_BLINK_SETTINGS = {
+  enabled: false,
+  earThreshold: 0.21,
+  closedAlertMs: 1500,
+  blinkRateAlert: 0,
+  sound: true
+};
+
+// Closures longer than this are not blinks
+const MAX_BLINK_MS = 500;
+
+// Window for the blinks-per-minute rate
+const RATE_WINDOW_MS = 60000;
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeBlinkSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_BLINK_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    enabled: Boolean(merged.enabled),
+    earThreshold: clamp(merged.earThreshold, 0.1, 0.35, DEFAULT_BLINK_SETTINGS.earThreshold),
+    closedAlertMs: clamp(merged.closedAlertMs, 500, 10000, DEFAULT_BLINK_SETTINGS.closedAlertMs),
+    blinkRateAlert: clamp(merged.blinkRateAlert, 0, 120, DEFAULT_BLINK_SETTINGS.blinkRateAlert),
+    sound: Boolean(merged.sound)
+  };
+};
+
+const distance = ([ax, ay], [bx, by]) => Math.hypot(ax - bx, ay - by);
+
+/**
+ * Eye aspect ratio of one eye's six landmarks
+ *
+ * @param {Array<[number, number]>} eye - Points p1..p6, corner to corner
+ * @returns {number}
+ */
+export const eyeAspectRatio = ([p1, p2, p3, p4, p5, p6]) => {
+  const width = distance(p1, p4);
+  return width === 0 ? 0 : (distance(p2, p6) + distance(p3, p5)) / (2 * width);
+};
+
+/**
+ * Mean eye aspect ratio of both eyes
+ *
+ * @param {Array<[number, number]>} landmarks - 68-point landmarks
+ * @returns {number|null}
+ */
+export const faceEyeAspectRatio = (landmarks) => {
+  if (landmarks.length !== 68) return null;
+  return (eyeAspectRatio(landmarks.slice(36, 42)) + eyeAspectRatio(landmarks.slice(42, 48))) / 2;
+};
+
+/**
+ * Follow eye state per tracked face and report blink events
+ *
+ * Event types:
+ * - `blink` – eyes closed and reopened within 500 ms
+ * - `eyes-closed` – eyes have stayed closed for `closedAlertMs` (alert)
+ * - `eyes-opened` – eyes reopened after an `eyes-closed` alert
+ * - `blink-rate` – blinks in the last minute reached `blinkRateAlert` (alert)
+ *
+ * @returns {{ update: Function, reset: Function }}
+ */
+export const createBlinkDetector = () => {
+  let faces = new Map();
+
+  return {
+    /**
+     * Process one detection tick
+     *
+     * @param {Array} records - Face records with `trackId` and `ear`
+     * @param {number} t - Tick time in milliseconds
+     * @param {Object} settings - Blink settings
+     * @returns {{ events: Array, states: Array }} New events, plus the
+     *   current state of each face in `records`
+     */
+    update: (records, t, settings) => {
+      const events = [];
+
+      const states = records.map(record => {
+        if (record.ear === undefined || record.trackId === undefined) return null;
+
+        const key = record.trackId;
+        const face = faces.get(key) ?? { closedSince: null, alerted: false, blinks: [], rateAlerted: false };
+        faces.set(key, face);
+        face.lastSeen = t;
+
+        const closed = record.ear < settings.earThreshold;
+
+        if (closed && face.closedSince === null) {
+          face.closedSince = t;
+        } else if (closed && !face.alerted && t - face.closedSince >= settings.closedAlertMs) {
+          face.alerted = true;
+          events.push({ t, type: 'eyes-closed', trackId: key, duration: Math.round(t - face.closedSince) });
+        } else if (!closed && face.closedSince !== null) {
+          const duration = Math.round(t - face.closedSince);
+          if (face.alerted) {
+            events.push({ t, type: 'eyes-opened', trackId: key, duration });
+          } else if (duration <= MAX_BLINK_MS) {
+            face.blinks.push(t);
+            events.push({ t, type: 'blink', trackId: key, duration });
+          }
+          face.closedSince = null;
+          face.alerted = false;
+        }
+
+        face.blinks = face.blinks.filter(time => t - time <= RATE_WINDOW_MS);
+        const rate = face.blinks.length;
+        if (settings.blinkRateAlert > 0 && rate >= settings.blinkRateAlert) {
+          if (!face.rateAlerted) {
+            face.rateAlerted = true;
+            events.push({ t, type: 'blink-rate', trackId: key, rate });
+          }
+        } else {
+          face.rateAlerted = false;
+        }
+
+        return {
+          trackId: key,
+          ear: record.ear,
+          closed,
+          closedMs: face.closedSince === null ? 0 : t - face.closedSince,
+          blinkRate: rate,
+          alert: face.alerted ? 'eyes-closed' : face.rateAlerted ? 'blink-rate' : null
+        };
+      }).filter(Boolean);
+
+      // Forget faces that have left, along with any open alert
+      faces.forEach((face, key) => {
+        if (t - face.lastSeen > RATE_WINDOW_MS) faces.delete(key);
+      });
+
+      return { events, states };
+    },
+
+    reset: () => {
+      faces = new Map();
+    }
+  };
+};
+
+/**
+ * Play a short two-tone alert
+ *
+ * @param {AudioContext} context - Reused between alerts; browsers limit how many can exist
+ */
+export const playAlertSound = (context) => {
+  const now = context.currentTime;
+  [880, 660].forEach((frequency, i) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, now + i * 0.2);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.2 + 0.18);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(now + i * 0.2);
+    oscillator.stop(now + i * 0.2 + 0.2);
+  });
+};
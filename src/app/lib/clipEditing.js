@@ -0,0 +1,233 @@
+/**
+ * Clip Editing
+ *
+ * Trimming and splitting of finished recordings in the browser. Browsers
+ * cannot cut an encoded WebM or MP4 without a demuxer, so each kept segment
+ * is played back in a hidden video element and re-recorded; joined segments
+ * share one recorder that is paused while seeking between them. Rendering
+ * runs in real time.
+ *
+ * The landmark track and event log are cut along the same segments, so
+ * downloads stay aligned with the edited video.
+ */
+
+import { createCompositor, RECORDING_SOURCES } from './compositor';
+import { createRecorder, recordedBlobType } from './recordingFormats';
+import { loadVideo, seekVideo, waitForEvent } from './media';
+
+// Segments shorter than this are dropped rather than rendered
+export const MIN_SEGMENT_MS = 100;
+
+// Detections this close together belong to the same presence band
+const PRESENCE_GAP_MS = 500;
+
+/**
+ * Time ranges in which at least one face was detected
+ *
+ * @param {Array} frames - Landmark frames sorted by `t`
+ * @param {number} [maxGapMs=PRESENCE_GAP_MS] - Longest gap bridged within a band
+ * @returns {Array<{ start: number, end: number }>} Milliseconds
+ */
+export const presenceBands = (frames, maxGapMs = PRESENCE_GAP_MS) => {
+  const bands = [];
+  let band = null;
+
+  frames.forEach(frame => {
+    if (frame.faces.length === 0) {
+      // The face left somewhere before this tick; count it until then
+      if (band && frame.t - band.end <= maxGapMs) band.end = frame.t;
+      band = null;
+      return;
+    }
+    if (band && frame.t - band.end <= maxGapMs) {
+      band.end = frame.t;
+    } else {
+      band = { start: frame.t, end: frame.t };
+      bands.push(band);
+    }
+  });
+
+  return bands;
+};
+
+/**
+ * Cut the trimmed range of a clip at the split points
+ *
+ * @param {Object} cuts
+ * @param {number} cuts.start - Trim in point in milliseconds
+ * @param {number} cuts.end - Trim out point in milliseconds
+ * @param {number[]} [cuts.splits=[]] - Split points in milliseconds
+ * @returns {Array<{ start: number, end: number }>} Segments in order, at
+ *   least MIN_SEGMENT_MS long
+ */
+export const segmentsBetween = ({ start, end, splits = [] }) => {
+  const points = [start, ...splits.filter(t => t > start && t < end).sort((a, b) => a - b), end];
+  return points
+    .slice(1)
+    .map((point, i) => ({ start: points[i], end: point }))
+    .filter(segment => segment.end - segment.start >= MIN_SEGMENT_MS);
+};
+
+/**
+ * Total length of a list of segments
+ *
+ * @param {Array<{ start: number, end: number }>} segments
+ * @returns {number} Milliseconds
+ */
+export const segmentsDuration = (segments) =>
+  segments.reduce((total, segment) => total + segment.end - segment.start, 0);
+
+/**
+ * Landmark frames of the given segments, retimed as if played back to back
+ *
+ * @param {Array} frames - Landmark frames
+ * @param {Array<{ start: number, end: number }>} segments
+ * @returns {Array} Frames renumbered from 0
+ */
+export const sliceFrames = (frames, segments) => {
+  let offset = 0;
+  return segments.flatMap(segment => {
+    const sliced = frames
+      .filter(frame => frame.t >= segment.start && frame.t < segment.end)
+      .map(frame => ({ ...frame, t: Math.round((frame.t - segment.start + offset) * 10) / 10 }));
+    offset += segment.end - segment.start;
+    return sliced;
+  }).map((frame, index) => ({ ...frame, frame: index }));
+};
+
+/**
+ * Events of the given segments, retimed as if played back to back
+ *
+ * @param {Array} events - Session log events
+ * @param {Array<{ start: number, end: number }>} segments
+ * @returns {Array}
+ */
+export const sliceEvents = (events, segments) => {
+  let offset = 0;
+  return segments.flatMap(segment => {
+    const sliced = events
+      .filter(event => event.t >= segment.start && event.t < segment.end)
+      .map(event => ({ ...event, t: Math.round(event.t - segment.start + offset) }));
+    offset += segment.end - segment.start;
+    return sliced;
+  });
+};
+
+/**
+ * Start playback, muted if the browser refuses to autoplay sound
+ *
+ * Audio is routed into the recording, so a refusal would otherwise stop the
+ * render; muting loses the clip's sound but keeps its picture.
+ */
+const playVideo = async (video) => {
+  try {
+    await video.play();
+  } catch (err) {
+    if (err.name !== 'NotAllowedError' || video.muted) throw err;
+    console.warn('Autoplay with sound was blocked; rendering the clip without audio');
+    video.muted = true;
+    await video.play();
+  }
+};
+
+/**
+ * Re-record segments of a video into one new clip
+ *
+ * @param {Object} options
+ * @param {string} options.src - Object URL of the recording
+ * @param {Array<{ start: number, end: number }>} options.segments - Milliseconds, played in order
+ * @param {Object} options.recordingPrefs - Recording preferences for the new clip
+ * @param {Function} [options.onProgress] - Called with 0–1 as the clip renders
+ * @param {AbortSignal} [options.signal] - Aborts rendering; the promise then resolves to null
+ * @returns {Promise<Blob|null>}
+ */
+export const renderClip = async ({ src, segments, recordingPrefs, onProgress, signal }) => {
+  const video = document.createElement('video');
+  video.playsInline = true;
+  const { width, height } = await loadVideo(video, src);
+
+  // Route audio into the recording instead of the speakers
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  const audioContext = AudioContextClass ? new AudioContextClass() : null;
+  const audioTracks = [];
+  if (audioContext) {
+    const destination = audioContext.createMediaStreamDestination();
+    audioContext.createMediaElementSource(video).connect(destination);
+    audioTracks.push(...destination.stream.getAudioTracks());
+  }
+
+  const total = segmentsDuration(segments);
+  let done = 0;
+  let segment = null;
+  let segmentEnded = null;
+
+  const compositor = createCompositor({
+    video,
+    overlay: null,
+    width,
+    height,
+    fps: 30,
+    source: RECORDING_SOURCES.CAMERA,
+    // Checked on every output frame, so segments end within a frame
+    onFrame: () => {
+      if (!segment) return;
+      const t = video.currentTime * 1000;
+      onProgress?.(Math.min((done + Math.max(t - segment.start, 0)) / total, 1));
+      if (t >= segment.end || video.ended) segmentEnded?.();
+    }
+  });
+
+  const recorder = createRecorder(new MediaStream([...compositor.stream.getVideoTracks(), ...audioTracks]), recordingPrefs);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const abort = () => segmentEnded?.();
+  signal?.addEventListener('abort', abort);
+
+  try {
+    await audioContext?.resume();
+
+    for (const next of segments) {
+      if (signal?.aborted) break;
+
+      await seekVideo(video, next.start / 1000);
+      segment = next;
+      const ended = new Promise(resolve => {
+        segmentEnded = resolve;
+      });
+
+      if (recorder.state === 'inactive') {
+        recorder.start(100);
+      } else {
+        recorder.resume();
+      }
+      await playVideo(video);
+      await ended;
+
+      video.pause();
+      recorder.pause();
+      segment = null;
+      segmentEnded = null;
+      done += next.end - next.start;
+    }
+
+    if (recorder.state !== 'inactive') {
+      const stopped = waitForEvent(recorder, 'stop');
+      recorder.stop();
+      await stopped;
+    }
+  } finally {
+    signal?.removeEventListener('abort', abort);
+    video.pause();
+    compositor.stop();
+    audioContext?.close();
+    video.removeAttribute('src');
+    video.load();
+  }
+
+  if (signal?.aborted) return null;
+  onProgress?.(1);
+  return new Blob(chunks, { type: recordedBlobType(recorder) });
+};
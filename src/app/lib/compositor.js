@@ -0,0 +1,117 @@
+/**
+ * Recording Compositor
+ *
+ * Builds the stream that MediaRecorder consumes. The detection overlay canvas
+ * is cleared and redrawn on every detection tick, so recording it directly
+ * yields a transparent, low frame rate video. The compositor instead paints
+ * the camera frame and the latest overlay into its own canvas on a fixed
+ * timer and exposes that canvas as a MediaStream.
+ */
+
+/**
+ * Available recording sources
+ */
+export const RECORDING_SOURCES = {
+  COMPOSITE: 'composite',
+  CAMERA: 'camera',
+  OVERLAY: 'overlay'
+};
+
+/**
+ * Select options for the recording source picker
+ */
+export const RECORDING_SOURCE_OPTIONS = [
+  { value: RECORDING_SOURCES.COMPOSITE, label: 'Camera + Overlay' },
+  { value: RECORDING_SOURCES.CAMERA, label: 'Camera Only' },
+  { value: RECORDING_SOURCES.OVERLAY, label: 'Overlay Only' }
+];
+
+/**
+ * Create a compositor that draws `video` and `overlay` into one canvas
+ *
+ * @param {Object} options
+ * @param {HTMLVideoElement|HTMLCanvasElement} options.video - Live camera element, or a
+ *   canvas showing it (e.g. the auto-framing virtual camera)
+ * @param {HTMLCanvasElement} options.overlay - Detection overlay canvas
+ * @param {number} options.width - Output width in pixels
+ * @param {number} options.height - Output height in pixels
+ * @param {number} [options.fps=30] - Output frame rate
+ * @param {string} [options.source] - One of RECORDING_SOURCES
+ * @param {Function} [options.onFrame] - Called before each frame is painted
+ * @param {Function} [options.onVideoFrame] - Called with the 2D context and the area
+ *   `{ x, y, width, height }` the camera frame was painted into, before the
+ *   overlay, e.g. to redact faces
+ * @returns {{ canvas: HTMLCanvasElement, stream: MediaStream, setSource: Function, stop: Function }}
+ */
+export const createCompositor = ({
+  video,
+  overlay,
+  width,
+  height,
+  fps = 30,
+  source = RECORDING_SOURCES.COMPOSITE,
+  onFrame,
+  onVideoFrame
+}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  const ctx = canvas.getContext('2d');
+
+  let currentSource = source;
+
+  /**
+   * Largest area of the output with the source's aspect ratio
+   *
+   * Callers size the output to match the source, so this is normally the
+   * whole canvas; if the source changes shape mid-recording (e.g. another
+   * camera), it is letterboxed rather than stretched.
+   */
+  const frameArea = () => {
+    const sourceWidth = video.videoWidth ?? video.width;
+    const sourceHeight = video.videoHeight ?? video.height;
+    if (!sourceWidth || !sourceHeight) return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+    const scale = Math.min(canvas.width / sourceWidth, canvas.height / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    return { x: (canvas.width - width) / 2, y: (canvas.height - height) / 2, width, height };
+  };
+
+  /**
+   * Paint a single output frame for the current source
+   */
+  const drawFrame = () => {
+    onFrame?.();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const area = frameArea();
+
+    // Skip the camera frame until the video has decoded data; canvases are always ready
+    if (currentSource !== RECORDING_SOURCES.OVERLAY && !(video.readyState < 2)) {
+      ctx.drawImage(video, area.x, area.y, area.width, area.height);
+      onVideoFrame?.(ctx, area);
+    }
+
+    // The overlay follows the camera's shape, so it shares its area
+    if (currentSource !== RECORDING_SOURCES.CAMERA && overlay) {
+      ctx.drawImage(overlay, area.x, area.y, area.width, area.height);
+    }
+  };
+
+  // A timer keeps the cadence steady; captureStream(fps) caps the output rate
+  drawFrame();
+  const timer = setInterval(drawFrame, 1000 / fps);
+  const stream = canvas.captureStream(fps);
+
+  return {
+    canvas,
+    stream,
+    setSource: (next) => {
+      currentSource = next;
+    },
+    stop: () => {
+      clearInterval(timer);
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+};
@@ -0,0 +1,107 @@
+/**
+ * IndexedDB Access
+ *
+ * A single versioned database holds everything the app persists locally.
+ * Nothing stored here ever leaves the browser.
+ */
+
+const DB_NAME = 'facetracker';
+const DB_VERSION = 2;
+
+/**
+ * Object store names
+ */
+export const STORES = {
+  PEOPLE: 'people',
+  SESSIONS: 'sessions',
+  SESSION_MEDIA: 'sessionMedia'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the database once per page load
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+
+    dbPromise = new Promise((resolve, reject) => {
+      let blocked = false;
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+
+        // Opened after the other tabs closed, but the caller has given up
+        if (blocked) {
+          db.close();
+        } else {
+          resolve(db);
+        }
+      };
+      request.onerror = () => reject(request.error);
+      // An older version of the app in another tab still has the database open
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('Database upgrade blocked by another open tab of this app'));
+      };
+    }).catch(err => {
+      // Allow a later call to retry
+      dbPromise = null;
+      throw err;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ *
+ * Settles when the transaction does, not the request: a write can still
+ * fail while committing, e.g. when a large blob exceeds the quota.
+ *
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} operation - Receives the IDBObjectStore, returns an IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction has completed
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const request = operation(transaction.objectStore(storeName));
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error ?? request.error);
+    transaction.onabort = () => reject(transaction.error ?? new DOMException('Transaction aborted', 'AbortError'));
+  });
+};
+
+export const getAllRecords = (storeName) =>
+  withStore(storeName, 'readonly', store => store.getAll());
+
+export const getRecord = (storeName, key) =>
+  withStore(storeName, 'readonly', store => store.get(key));
+
+export const putRecord = (storeName, record) =>
+  withStore(storeName, 'readwrite', store => store.put(record));
+
+export const deleteRecord = (storeName, key) =>
+  withStore(storeName, 'readwrite', store => store.delete(key));
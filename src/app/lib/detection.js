@@ -0,0 +1,230 @@
+/**
+ * Face Detection Pipeline
+ *
+ * Model loading and detection shared by the live camera and the offline
+ * video file analyzer, so both produce identical results.
+ */
+
+import * as faceapi from 'face-api.js';
+
+export const MODEL_URL = '/models';
+
+/**
+ * Selectable face detectors
+ */
+export const DETECTORS = {
+  tiny: { label: 'Tiny Face Detector', name: 'Tiny Face Detector', net: faceapi.nets.tinyFaceDetector, path: 'tiny_face_detector' },
+  ssd: { label: 'SSD MobileNet v1', name: 'SSD MobileNet v1', net: faceapi.nets.ssdMobilenetv1, path: 'ssd_mobilenetv1' }
+};
+
+/**
+ * Selectable 68-point landmark nets
+ */
+export const LANDMARK_MODELS = {
+  full: { label: 'Full (more accurate)', name: 'Face Landmarks', net: faceapi.nets.faceLandmark68Net, path: 'face_landmark_68' },
+  tiny: { label: 'Tiny (faster)', name: 'Tiny Face Landmarks', net: faceapi.nets.faceLandmark68TinyNet, path: 'face_landmark_68_tiny' }
+};
+
+/**
+ * Tiny face detector input sizes; the net requires multiples of 32
+ */
+export const INPUT_SIZES = [128, 160, 224, 320, 416, 512, 608];
+
+/**
+ * Detector settings used when nothing has been saved
+ */
+export const DEFAULT_DETECTOR_SETTINGS = {
+  detector: 'tiny',
+  inputSize: 416,
+  scoreThreshold: 0.5,
+  detectionFps: 10,
+  landmarkModel: 'full'
+};
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeDetectorSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_DETECTOR_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+  return {
+    detector: DETECTORS[merged.detector] ? merged.detector : DEFAULT_DETECTOR_SETTINGS.detector,
+    inputSize: INPUT_SIZES.includes(merged.inputSize) ? merged.inputSize : DEFAULT_DETECTOR_SETTINGS.inputSize,
+    scoreThreshold: clamp(merged.scoreThreshold, 0.05, 0.95, DEFAULT_DETECTOR_SETTINGS.scoreThreshold),
+    detectionFps: clamp(merged.detectionFps, 1, 30, DEFAULT_DETECTOR_SETTINGS.detectionFps),
+    landmarkModel: LANDMARK_MODELS[merged.landmarkModel] ? merged.landmarkModel : DEFAULT_DETECTOR_SETTINGS.landmarkModel
+  };
+};
+
+/**
+ * Build face-api detector options for the selected detector
+ *
+ * @param {Object} settings - Detector settings
+ */
+export const createDetectorOptions = (settings) =>
+  settings.detector === 'ssd'
+    ? new faceapi.SsdMobilenetv1Options({ minConfidence: settings.scoreThreshold })
+    : new faceapi.TinyFaceDetectorOptions({
+      inputSize: settings.inputSize,
+      scoreThreshold: settings.scoreThreshold
+    });
+
+// Bytes per stored value, for quantized and plain weights
+const DTYPE_BYTES = { uint8: 1, uint16: 2, float16: 2, float32: 4, int32: 4, bool: 1 };
+
+/**
+ * Size in bytes of a weights manifest's shards, known before downloading them
+ *
+ * @param {Array} manifest - Parsed model.json
+ * @returns {number}
+ */
+export const manifestByteLength = (manifest) => manifest
+  .flatMap(group => group.weights)
+  .reduce((total, weight) => {
+    const count = weight.shape.reduce((product, size) => product * size, 1);
+    return total + count * DTYPE_BYTES[weight.quantization?.dtype ?? weight.dtype];
+  }, 0);
+
+/**
+ * Fetch a URL as an ArrayBuffer, reporting bytes as they arrive
+ *
+ * @param {string} url
+ * @param {Function} onBytes - Called with the size of each received chunk
+ * @returns {Promise<ArrayBuffer>}
+ */
+const fetchWithProgress = async (url, onBytes) => {
+  const response = await faceapi.env.getEnv().fetch(url);
+  if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onBytes(buffer.byteLength);
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.byteLength;
+    onBytes(value.byteLength);
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes.buffer;
+};
+
+/**
+ * Load a net unless it is already in memory
+ *
+ * Same files as face-api's loadFromUri, but the shards are streamed so
+ * progress can be reported. `onProgress` receives `{ path, loaded, total }`
+ * in bytes: once with nothing loaded, then per received chunk.
+ */
+const loadNet = async ({ net, path }, modelUrl, onProgress) => {
+  if (net.isLoaded) return;
+
+  const baseUrl = `${modelUrl}/${path}`;
+  const manifestResponse = await faceapi.env.getEnv().fetch(`${baseUrl}/model.json`);
+  if (!manifestResponse.ok) throw new Error(`${baseUrl}/model.json responded with ${manifestResponse.status}`);
+  const manifest = await manifestResponse.json();
+
+  const total = manifestByteLength(manifest);
+  let loaded = 0;
+  onProgress?.({ path, loaded, total });
+
+  const loadWeights = faceapi.tf.io.weightsLoaderFactory(urls => Promise.all(
+    urls.map(url => fetchWithProgress(url, (bytes) => {
+      loaded += bytes;
+      onProgress?.({ path, loaded: Math.min(loaded, total), total });
+    }))
+  ));
+  net.loadFromWeightMap(await loadWeights(manifest, baseUrl));
+};
+
+/**
+ * Load the detector and landmark models selected in `settings`
+ *
+ * Already loaded nets are skipped, so switching back and forth is free.
+ *
+ * @param {Object} [settings=DEFAULT_DETECTOR_SETTINGS]
+ * @param {string} [modelUrl=MODEL_URL] - Base URL of the model directory
+ * @param {Function} [onProgress] - Called with `{ path, loaded, total }` bytes
+ *   per model directory while downloading
+ */
+export const loadFaceModels = async (settings = DEFAULT_DETECTOR_SETTINGS, modelUrl = MODEL_URL, onProgress) => {
+  await Promise.all([
+    loadNet(DETECTORS[settings.detector], modelUrl, onProgress),
+    loadNet(LANDMARK_MODELS[settings.landmarkModel], modelUrl, onProgress)
+  ]);
+};
+
+/**
+ * Optional nets, loaded on demand so users only download what they use
+ */
+export const OPTIONAL_MODELS = {
+  recognition: { name: 'Face Recognition', net: faceapi.nets.faceRecognitionNet, path: 'face_recognition' },
+  expressions: { name: 'Expressions', net: faceapi.nets.faceExpressionNet, path: 'face_expression' },
+  ageGender: { name: 'Age & Gender', net: faceapi.nets.ageGenderNet, path: 'age_gender_model' }
+};
+
+/**
+ * Display name of a model directory, for progress readouts
+ *
+ * @param {string} path - Directory under the model URL
+ * @returns {string}
+ */
+export const modelName = (path) =>
+  [...Object.values(DETECTORS), ...Object.values(LANDMARK_MODELS), ...Object.values(OPTIONAL_MODELS)]
+    .find(model => model.path === path)?.name ?? path;
+
+/**
+ * Load an optional model if it is not loaded yet
+ *
+ * @param {keyof OPTIONAL_MODELS} key
+ * @param {string} [modelUrl=MODEL_URL]
+ * @param {Function} [onProgress] - See loadFaceModels
+ */
+export const loadOptionalModel = (key, modelUrl = MODEL_URL, onProgress) =>
+  loadNet(OPTIONAL_MODELS[key], modelUrl, onProgress);
+
+/**
+ * Detect all faces with 68-point landmarks
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+ * @param {Object} [options]
+ * @param {Object} [options.settings=DEFAULT_DETECTOR_SETTINGS] - Detector settings
+ * @param {boolean} [options.withExpressions=false] - Also classify facial expressions
+ * @param {boolean} [options.withAgeGender=false] - Also estimate age and gender
+ * @param {boolean} [options.withDescriptors=false] - Also compute recognition descriptors
+ * @returns {Promise<Array>} Results in the input's native pixel space
+ */
+export const detectFaces = (input, {
+  settings = DEFAULT_DETECTOR_SETTINGS,
+  withExpressions = false,
+  withAgeGender = false,
+  withDescriptors = false
+} = {}) => {
+  let task = faceapi
+    .detectAllFaces(input, createDetectorOptions(settings))
+    .withFaceLandmarks(settings.landmarkModel === 'tiny');
+
+  if (withExpressions) task = task.withFaceExpressions();
+  if (withAgeGender) task = task.withAgeAndGender();
+  if (withDescriptors) task = task.withFaceDescriptors();
+
+  return task;
+};
@@ -0,0 +1,244 @@
+/**
+ * Detection Backends
+ *
+ * The live loop talks to one of two interchangeable backends:
+ * - worker: inference in a Web Worker fed with ImageBitmap frames
+ * - main: inference on the main thread, used when workers or
+ *   OffscreenCanvas are unavailable, the worker fails to start, or it keeps
+ *   failing to detect (e.g. no WebGL inside workers)
+ *
+ * Both apply backpressure: while a frame is being processed, detect()
+ * resolves to null immediately instead of queueing another frame.
+ */
+
+import { MODEL_URL, loadFaceModels, loadOptionalModel, detectFaces } from './detection';
+import { serializeFace } from './landmarkExport';
+
+// Consecutive failed detections after which the worker is given up on
+const MAX_WORKER_FAILURES = 5;
+
+// How long the worker may take to answer one detect request before it
+// counts as failed
+const WORKER_DETECT_TIMEOUT_MS = 10000;
+
+/**
+ * Whether this browser can run detection in a worker
+ */
+export const supportsWorkerDetection = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function';
+
+/**
+ * Load base models plus every enabled optional layer on the main thread
+ */
+const loadModelsOnMainThread = async ({ settings, layers }, modelUrl) => {
+  await loadFaceModels(settings, modelUrl);
+  await Promise.all(
+    Object.entries(layers)
+      .filter(([, enabled]) => enabled)
+      .map(([key]) => loadOptionalModel(key, modelUrl))
+  );
+};
+
+/**
+ * Main-thread backend
+ */
+const createMainThreadBackend = (modelUrl) => {
+  let busy = false;
+
+  return {
+    kind: 'main',
+    configure: (config) => loadModelsOnMainThread(config, modelUrl),
+    detect: async (video, options) => {
+      if (busy) return null;
+
+      busy = true;
+      try {
+        const start = performance.now();
+        const results = await detectFaces(video, options);
+        return {
+          faces: results.map(serializeFace),
+          descriptors: results.map(result => result.descriptor ?? null),
+          latency: performance.now() - start
+        };
+      } finally {
+        busy = false;
+      }
+    },
+    terminate: () => {}
+  };
+};
+
+/**
+ * Worker backend
+ */
+const createWorkerBackend = (modelUrl) => {
+  const worker = new Worker(new URL('../workers/detection.worker.js', import.meta.url));
+  // The worker resolves relative URLs against its own script, not the page
+  const absoluteModelUrl = new URL(modelUrl, window.location.href).href.replace(/\/$/, '');
+  const pending = new Map();
+  let nextId = 1;
+  let busy = false;
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    pending.delete(data.id);
+    if (data.type === 'error') {
+      request.reject(new Error(data.message));
+    } else {
+      request.resolve(data);
+    }
+  };
+
+  worker.onerror = (event) => {
+    pending.forEach(request => request.reject(new Error(event.message || 'Detection worker failed')));
+    pending.clear();
+  };
+
+  /**
+   * Post a message and resolve with the worker's reply
+   *
+   * With a timeout, the request is rejected if no reply arrives in time and
+   * a late reply is ignored.
+   */
+  const send = (message, transfer = [], timeoutMs = null) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    let timer = null;
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Detection worker did not answer within ${timeoutMs} ms`));
+      }, timeoutMs);
+    }
+    worker.postMessage({ ...message, id }, transfer);
+  });
+
+  return {
+    kind: 'worker',
+    configure: ({ settings, layers }) => send({ type: 'configure', settings, layers, modelUrl: absoluteModelUrl }),
+    detect: async (video, options) => {
+      // No frame to send yet, e.g. while the camera is being swapped
+      if (busy || video.readyState < 2) return null;
+
+      busy = true;
+      try {
+        let bitmap;
+        try {
+          bitmap = await createImageBitmap(video);
+        } catch (err) {
+          // Capturing the frame failed, not the worker, so only skip this tick
+          console.warn('Could not capture frame for detection worker:', err);
+          return null;
+        }
+
+        const { faces, descriptors, latency } = await send(
+          { type: 'detect', bitmap, options },
+          [bitmap],
+          WORKER_DETECT_TIMEOUT_MS
+        );
+        return { faces, descriptors, latency };
+      } finally {
+        busy = false;
+      }
+    },
+    terminate: () => {
+      worker.terminate();
+      // A terminated worker never replies
+      pending.forEach(request => request.reject(new Error('Detection worker terminated')));
+      pending.clear();
+    }
+  };
+};
+
+/**
+ * Wrap a configured worker backend so it is replaced by the main-thread
+ * backend once detection has failed MAX_WORKER_FAILURES times in a row
+ *
+ * The worker backend only throws for the worker's own failures (an error
+ * reply, a crash or a timeout); frames that could not be captured resolve
+ * to null and are not counted.
+ *
+ * While switching, detect() resolves to null like a busy backend.
+ */
+const withMainThreadFallback = (worker, config, modelUrl, onFallback) => {
+  let current = worker;
+  let lastConfig = config;
+  let failures = 0;
+  let switching = null;
+
+  const fallBack = async () => {
+    worker.terminate();
+    current = createMainThreadBackend(modelUrl);
+    await current.configure(lastConfig);
+    onFallback?.(current.kind);
+  };
+
+  return {
+    get kind() {
+      return current.kind;
+    },
+    configure: async (next) => {
+      lastConfig = next;
+      // A worker being replaced would never answer
+      await switching;
+      return current.configure(next);
+    },
+    detect: async (video, options) => {
+      if (switching) return null;
+
+      try {
+        const result = await current.detect(video, options);
+        if (result) failures = 0;
+        return result;
+      } catch (err) {
+        if (current !== worker || ++failures < MAX_WORKER_FAILURES) throw err;
+
+        console.warn(`Detection worker failed ${failures} times in a row, falling back to main thread:`, err);
+        switching = fallBack().finally(() => {
+          switching = null;
+        });
+        await switching;
+        return null;
+      }
+    },
+    terminate: () => current.terminate()
+  };
+};
+
+/**
+ * Create and configure the best available backend
+ *
+ * @param {Object} config
+ * @param {Object} config.settings - Detector settings
+ * @param {Object} config.layers - Enabled optional models, keyed like OPTIONAL_MODELS
+ * @param {boolean} [config.preferWorker=true] - Try the worker backend first
+ * @param {string} [config.modelUrl=MODEL_URL] - Base URL of the model directory
+ * @param {Function} [config.onFallback] - Called with the new `kind` when a failing
+ *   worker has been replaced by the main thread
+ * @returns {Promise<{ kind: string, configure: Function, detect: Function, terminate: Function }>}
+ */
+export const createDetectionBackend = async ({ settings, layers, preferWorker = true, modelUrl = MODEL_URL, onFallback }) => {
+  if (preferWorker && supportsWorkerDetection()) {
+    const backend = createWorkerBackend(modelUrl);
+    try {
+      await backend.configure({ settings, layers });
+      return withMainThreadFallback(backend, { settings, layers }, modelUrl, onFallback);
+    } catch (err) {
+      console.warn('Detection worker unavailable, falling back to main thread:', err);
+      backend.terminate();
+    }
+  }
+
+  const backend = createMainThreadBackend(modelUrl);
+  await backend.configure({ settings, layers });
+  return backend;
+};
@@ -0,0 +1,253 @@
+/**
+ * Detection Stream
+ *
+ * Opt-in publisher that sends live face data to other tools on the same
+ * machine: same-origin tabs through a BroadcastChannel, and local programs
+ * (dashboards, a Node bridge) through a WebSocket on a loopback address.
+ * Nothing is sent until the user turns it on, and only loopback hosts are
+ * accepted, so detections still never leave the device.
+ *
+ * Every message is a JSON object with a schema version `v` and a `type`;
+ * see docs/detection-stream.md.
+ */
+
+export const STREAM_SCHEMA_VERSION = 1;
+
+/**
+ * BroadcastChannel name shared by the publisher and listeners
+ */
+export const STREAM_CHANNEL = 'facetracker-detections';
+
+/**
+ * Stream settings used when nothing has been saved
+ */
+export const DEFAULT_STREAM_SETTINGS = {
+  enabled: false,
+  broadcast: true,
+  websocket: false,
+  url: 'ws://localhost:8787',
+  maxRate: 10
+};
+
+/**
+ * WebSocket connection states reported to onStatus
+ */
+export const SOCKET_STATES = {
+  OFF: 'off',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RETRYING: 'retrying'
+};
+
+// Hosts a WebSocket may connect to
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Reconnect delays double from the first to the last
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Skip detection messages while this much is still waiting to be sent
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Whether a URL is a WebSocket endpoint on this machine
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isLoopbackSocketUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['ws:', 'wss:'].includes(parsed.protocol) && LOOPBACK_HOSTS.includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeStreamSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_STREAM_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    enabled: Boolean(merged.enabled),
+    broadcast: Boolean(merged.broadcast),
+    websocket: Boolean(merged.websocket),
+    url: typeof merged.url === 'string' ? merged.url.trim() : DEFAULT_STREAM_SETTINGS.url,
+    maxRate: clamp(merged.maxRate, 1, 30, DEFAULT_STREAM_SETTINGS.maxRate)
+  };
+};
+
+/**
+ * Track IDs of a set of faces, falling back to their index when untracked
+ */
+const faceKeys = (faces) => faces.map((face, index) => face.trackId ?? `index-${index}`);
+
+/**
+ * Create a publisher for live detections
+ *
+ * @param {Object} settings - Stream settings; see configure()
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] - Called with `{ socket, retryInMs }` when the
+ *   WebSocket state changes; `socket` is one of SOCKET_STATES
+ * @returns {{ publish: Function, configure: Function, close: Function }}
+ */
+export const createDetectionPublisher = (settings, { onStatus } = {}) => {
+  let current = settings;
+  let channel = null;
+  let socket = null;
+  let socketState = SOCKET_STATES.OFF;
+  let retryTimer = null;
+  let retryDelay = RECONNECT_MIN_MS;
+  let seq = 0;
+  let lastSentAt = -Infinity;
+  let previousKeys = new Set();
+
+  const report = (retryInMs = null) => onStatus?.({ socket: socketState, retryInMs });
+
+  /**
+   * Send one message to every enabled transport
+   *
+   * @param {Object} message - Without `v` and `seq`
+   * @param {boolean} [droppable=false] - Skip the WebSocket when it is backed up
+   */
+  const send = (message, droppable = false) => {
+    const envelope = { v: STREAM_SCHEMA_VERSION, seq: seq++, time: Date.now(), ...message };
+
+    if (channel) channel.postMessage(envelope);
+
+    if (socket?.readyState === WebSocket.OPEN && !(droppable && socket.bufferedAmount > MAX_BUFFERED_BYTES)) {
+      socket.send(JSON.stringify(envelope));
+    }
+  };
+
+  const openChannel = () => {
+    if (channel || typeof BroadcastChannel === 'undefined') return;
+    channel = new BroadcastChannel(STREAM_CHANNEL);
+  };
+
+  const closeChannel = () => {
+    channel?.close();
+    channel = null;
+  };
+
+  /**
+   * Connect, and keep reconnecting with backoff until closed
+   */
+  const connect = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (!isLoopbackSocketUrl(current.url)) return;
+
+    socketState = SOCKET_STATES.CONNECTING;
+    report();
+
+    const ws = new WebSocket(current.url);
+    socket = ws;
+
+    ws.onopen = () => {
+      retryDelay = RECONNECT_MIN_MS;
+      socketState = SOCKET_STATES.OPEN;
+      report();
+      // Announce the schema, so bridges can check they understand it; it has
+      // no seq, so BroadcastChannel listeners see no gap
+      ws.send(JSON.stringify({ v: STREAM_SCHEMA_VERSION, time: Date.now(), type: 'hello', source: 'facetracker' }));
+    };
+
+    ws.onclose = () => {
+      if (socket !== ws) return;
+      socket = null;
+      socketState = SOCKET_STATES.RETRYING;
+      report(retryDelay);
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+    };
+
+    // Errors are followed by close, which schedules the retry
+    ws.onerror = () => {};
+  };
+
+  const disconnect = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const ws = socket;
+    socket = null;
+    ws?.close();
+    retryDelay = RECONNECT_MIN_MS;
+    socketState = SOCKET_STATES.OFF;
+    report();
+  };
+
+  /**
+   * Open and close transports to match the settings
+   */
+  const apply = (next, previous) => {
+    if (next.enabled && next.broadcast) {
+      openChannel();
+    } else {
+      closeChannel();
+    }
+
+    const wantSocket = next.enabled && next.websocket && isLoopbackSocketUrl(next.url);
+    if (!wantSocket) {
+      if (socketState !== SOCKET_STATES.OFF) disconnect();
+    } else if (socketState === SOCKET_STATES.OFF || next.url !== previous?.url) {
+      disconnect();
+      connect();
+    }
+  };
+
+  apply(current, null);
+
+  return {
+    /**
+     * Publish one detection tick
+     *
+     * Presence changes are always sent; detection messages are limited to
+     * `maxRate` per second.
+     *
+     * @param {Array} faces - Face records in video pixels
+     * @param {Object} info
+     * @param {number} info.t - performance.now() time the frame was captured
+     * @param {{ width: number, height: number }} info.sourceSize - Video size
+     */
+    publish: (faces, { t, sourceSize }) => {
+      if (!current.enabled) return;
+
+      const keys = faceKeys(faces);
+      const entered = keys.filter(key => !previousKeys.has(key));
+      const left = [...previousKeys].filter(key => !keys.includes(key));
+      if (entered.length > 0 || left.length > 0) {
+        send({ type: 'presence', t, present: faces.length > 0, count: faces.length, entered, left });
+      }
+      previousKeys = new Set(keys);
+
+      if (t - lastSentAt < 1000 / current.maxRate) return;
+      lastSentAt = t;
+      send({ type: 'detections', t, sourceSize, faces }, true);
+    },
+
+    /**
+     * Apply new settings, opening or closing transports as needed
+     *
+     * @param {Object} settings - Stream settings
+     */
+    configure: (settings) => {
+      const previous = current;
+      current = settings;
+      apply(current, previous);
+    },
+
+    close: () => {
+      closeChannel();
+      disconnect();
+      previousKeys = new Set();
+    }
+  };
+};
@@ -0,0 +1,146 @@
+/**
+ * Media Devices
+ *
+ * Camera/microphone enumeration, getUserMedia constraints built from the
+ * user's device preferences, and an audio bridge that keeps a recording's
+ * audio track alive while the microphone is swapped.
+ */
+
+export const NO_MICROPHONE = 'none';
+export const DEFAULT_DEVICE = 'default';
+
+/**
+ * Selectable capture resolutions
+ */
+export const RESOLUTIONS = [
+  { value: '640x480', label: '640 × 480', width: 640, height: 480 },
+  { value: '1280x720', label: '1280 × 720 (HD)', width: 1280, height: 720 },
+  { value: '1920x1080', label: '1920 × 1080 (Full HD)', width: 1920, height: 1080 }
+];
+
+/**
+ * Selectable capture frame rates
+ */
+export const FRAME_RATES = [15, 24, 30, 60];
+
+/**
+ * Device preferences used when nothing has been saved
+ *
+ * The microphone is off by default so the page never asks for audio
+ * permission unless the user picks one.
+ */
+export const DEFAULT_DEVICE_PREFERENCES = {
+  videoDeviceId: DEFAULT_DEVICE,
+  audioDeviceId: NO_MICROPHONE,
+  resolution: '640x480',
+  frameRate: 30
+};
+
+/**
+ * Clamp untrusted preferences (e.g. from localStorage) to supported values
+ *
+ * @param {Object} prefs
+ * @returns {Object} Complete, valid preferences
+ */
+export const sanitizeDevicePreferences = (prefs = {}) => {
+  const merged = { ...DEFAULT_DEVICE_PREFERENCES, ...prefs };
+
+  return {
+    videoDeviceId: typeof merged.videoDeviceId === 'string' ? merged.videoDeviceId : DEFAULT_DEVICE,
+    audioDeviceId: typeof merged.audioDeviceId === 'string' ? merged.audioDeviceId : NO_MICROPHONE,
+    resolution: RESOLUTIONS.some(r => r.value === merged.resolution)
+      ? merged.resolution
+      : DEFAULT_DEVICE_PREFERENCES.resolution,
+    frameRate: FRAME_RATES.includes(merged.frameRate) ? merged.frameRate : DEFAULT_DEVICE_PREFERENCES.frameRate
+  };
+};
+
+/**
+ * List cameras and microphones
+ *
+ * Before permission is granted browsers hide device IDs and labels; those
+ * entries are skipped and the "default" choice covers them.
+ *
+ * @returns {Promise<{ videoInputs: Array, audioInputs: Array }>}
+ */
+export const listMediaDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const byKind = (kind, fallbackLabel) => devices
+    .filter(device => device.kind === kind && device.deviceId && device.deviceId !== DEFAULT_DEVICE)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${fallbackLabel} ${index + 1}`
+    }));
+
+  return {
+    videoInputs: byKind('videoinput', 'Camera'),
+    audioInputs: byKind('audioinput', 'Microphone')
+  };
+};
+
+/**
+ * Build getUserMedia constraints from device preferences
+ *
+ * @param {Object} prefs - Device preferences
+ * @returns {MediaStreamConstraints}
+ */
+export const buildConstraints = (prefs) => {
+  const resolution = RESOLUTIONS.find(r => r.value === prefs.resolution) || RESOLUTIONS[0];
+
+  const video = {
+    width: { ideal: resolution.width },
+    height: { ideal: resolution.height },
+    frameRate: { ideal: prefs.frameRate },
+    ...(prefs.videoDeviceId === DEFAULT_DEVICE
+      ? { facingMode: 'user' }
+      : { deviceId: { exact: prefs.videoDeviceId } })
+  };
+
+  let audio = false;
+  if (prefs.audioDeviceId === DEFAULT_DEVICE) {
+    audio = true;
+  } else if (prefs.audioDeviceId !== NO_MICROPHONE) {
+    audio = { deviceId: { exact: prefs.audioDeviceId } };
+  }
+
+  return { video, audio };
+};
+
+/**
+ * Route microphone audio through a Web Audio graph
+ *
+ * MediaRecorder cannot swap tracks mid-recording, so the recorder gets the
+ * bridge's constant output track and the input is rewired on device change.
+ *
+ * @returns {{ track: MediaStreamTrack, setSource: Function, close: Function }}
+ */
+export const createAudioBridge = () => {
+  const context = new AudioContext();
+  const destination = context.createMediaStreamDestination();
+  let source = null;
+
+  return {
+    track: destination.stream.getAudioTracks()[0],
+
+    /**
+     * Feed the bridge from a stream's audio, or silence when it has none
+     *
+     * @param {MediaStream|null} stream
+     */
+    setSource: (stream) => {
+      source?.disconnect();
+      source = null;
+
+      if (stream && stream.getAudioTracks().length > 0) {
+        source = context.createMediaStreamSource(stream);
+        source.connect(destination);
+      }
+    },
+
+    close: () => {
+      source?.disconnect();
+      destination.stream.getTracks().forEach(track => track.stop());
+      context.close();
+    }
+  };
+};
@@ -0,0 +1,50 @@
+/**
+ * Download Helpers
+ *
+ * Small utilities for saving generated files from the browser.
+ */
+
+/**
+ * Trigger a browser download for a Blob
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Build a filesystem-safe timestamp for file names
+ *
+ * @param {Date} [date=new Date()]
+ * @returns {string} e.g. 2025-01-31T12-30-05
+ */
+export const fileTimestamp = (date = new Date()) =>
+  date.toISOString().slice(0, 19).replace(/:/g, '-');
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes
+ * @returns {string} e.g. 12.3 MB
+ */
+export const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
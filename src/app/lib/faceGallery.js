@@ -0,0 +1,115 @@
+/**
+ * Face Gallery
+ *
+ * Enrolled people and their face descriptors, persisted in IndexedDB.
+ */
+
+import { STORES, getAllRecords, getRecord, putRecord, deleteRecord } from './db';
+
+export const GALLERY_FORMAT_VERSION = 1;
+
+const DESCRIPTOR_LENGTH = 128;
+
+/**
+ * List all enrolled people sorted by name
+ *
+ * @returns {Promise<Array>}
+ */
+export const listPeople = async () => {
+  const people = await getAllRecords(STORES.PEOPLE);
+  return people.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Enroll a new person
+ *
+ * @param {Object} person
+ * @param {string} person.name
+ * @param {Array<Float32Array|number[]>} person.descriptors
+ * @param {string} [person.thumbnail] - Data URL
+ * @returns {Promise<Object>} The stored record
+ */
+export const addPerson = async ({ name, descriptors, thumbnail = null }) => {
+  const now = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    descriptors: descriptors.map(descriptor => Array.from(descriptor)),
+    thumbnail,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await putRecord(STORES.PEOPLE, record);
+  return record;
+};
+
+/**
+ * Rename an enrolled person
+ *
+ * @param {string} id
+ * @param {string} name
+ */
+export const renamePerson = async (id, name) => {
+  const record = await getRecord(STORES.PEOPLE, id);
+  if (!record) return;
+
+  await putRecord(STORES.PEOPLE, { ...record, name: name.trim(), updatedAt: Date.now() });
+};
+
+/**
+ * Remove a person and their descriptors
+ *
+ * @param {string} id
+ */
+export const deletePerson = (id) => deleteRecord(STORES.PEOPLE, id);
+
+/**
+ * Serialize the gallery for backup or transfer
+ *
+ * @param {Array} people
+ * @returns {Blob} JSON file contents
+ */
+export const exportGallery = (people) => {
+  const payload = {
+    version: GALLERY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    people: people.map(({ name, descriptors, thumbnail, createdAt }) => ({
+      name,
+      descriptors,
+      thumbnail,
+      createdAt
+    }))
+  };
+
+  return new Blob([JSON.stringify(payload)], { type: 'application/json' });
+};
+
+/**
+ * Import people from an exported gallery file
+ *
+ * Imported entries are always added as new people; existing entries are
+ * left untouched.
+ *
+ * @param {File} file
+ * @returns {Promise<number>} Number of people imported
+ */
+export const importGallery = async (file) => {
+  const payload = JSON.parse(await file.text());
+  if (payload?.version !== GALLERY_FORMAT_VERSION || !Array.isArray(payload.people)) {
+    throw new Error('Unsupported gallery file');
+  }
+
+  const valid = payload.people.filter(person =>
+    typeof person.name === 'string' &&
+    person.name.trim() &&
+    Array.isArray(person.descriptors) &&
+    person.descriptors.every(d => Array.isArray(d) && d.length === DESCRIPTOR_LENGTH)
+  );
+
+  for (const person of valid) {
+    await addPerson(person);
+  }
+
+  return valid.length;
+};
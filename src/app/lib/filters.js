@@ -0,0 +1,226 @@
+/**
+ * Face Filters
+ *
+ * Images and shapes anchored to groups of the 68 landmarks. Filters are
+ * plain data (see docs/face-filters.md): each layer names an anchor, an
+ * offset and a size in "eye units" (the distance between the eye centers),
+ * so it scales with the face and rotates with head roll.
+ */
+
+/**
+ * Landmark index ranges in iBUG 68-point order
+ */
+const GROUPS = {
+  jaw: [0, 17],
+  rightBrow: [17, 22],
+  leftBrow: [22, 27],
+  noseBridge: [27, 31],
+  noseBottom: [31, 36],
+  rightEye: [36, 42],
+  leftEye: [42, 48],
+  outerLips: [48, 60],
+  innerLips: [60, 68]
+};
+
+const centerOf = (points, [start, end]) => {
+  const group = points.slice(start, end);
+  return [
+    group.reduce((sum, [x]) => sum + x, 0) / group.length,
+    group.reduce((sum, [, y]) => sum + y, 0) / group.length
+  ];
+};
+
+/**
+ * Anchor points a layer can attach to
+ */
+export const ANCHORS = {
+  eyes: (points) => {
+    const [rx, ry] = centerOf(points, GROUPS.rightEye);
+    const [lx, ly] = centerOf(points, GROUPS.leftEye);
+    return [(rx + lx) / 2, (ry + ly) / 2];
+  },
+  brows: (points) => centerOf(points, [GROUPS.rightBrow[0], GROUPS.leftBrow[1]]),
+  nose: (points) => points[30],
+  mouth: (points) => centerOf(points, GROUPS.outerLips),
+  chin: (points) => points[8]
+};
+
+/**
+ * Wireframe edges: every landmark group as a polyline plus spokes that
+ * tie the groups together
+ */
+const MESH_EDGES = (() => {
+  const edges = [];
+  const polyline = ([start, end], closed = false) => {
+    for (let i = start; i < end - 1; i++) edges.push([i, i + 1]);
+    if (closed) edges.push([end - 1, start]);
+  };
+
+  polyline(GROUPS.jaw);
+  polyline(GROUPS.rightBrow);
+  polyline(GROUPS.leftBrow);
+  polyline(GROUPS.noseBridge);
+  polyline(GROUPS.noseBottom);
+  polyline(GROUPS.rightEye, true);
+  polyline(GROUPS.leftEye, true);
+  polyline(GROUPS.outerLips, true);
+  polyline(GROUPS.innerLips, true);
+
+  return edges.concat([
+    [0, 17], [0, 36], [1, 36], [2, 41], [3, 31], [4, 48], [5, 48], [6, 59], [7, 58], [8, 57],
+    [9, 56], [10, 55], [11, 54], [12, 54], [13, 35], [14, 46], [15, 45], [16, 45], [16, 26],
+    [17, 36], [19, 37], [21, 39], [22, 42], [24, 44], [26, 45], [21, 27], [22, 27],
+    [27, 39], [27, 42], [31, 40], [35, 47], [30, 31], [30, 35],
+    [31, 48], [32, 50], [33, 51], [34, 52], [35, 54]
+  ]);
+})();
+
+/**
+ * Built-in filters
+ */
+export const FILTERS = [
+  {
+    id: 'sunglasses',
+    label: 'Sunglasses',
+    layers: [{ type: 'image', src: '/filters/sunglasses.svg', anchor: 'eyes', width: 2, offset: [0, -0.04] }]
+  },
+  {
+    id: 'party-hat',
+    label: 'Party Hat',
+    layers: [{ type: 'image', src: '/filters/party-hat.svg', anchor: 'brows', width: 1.6, offset: [0, -1.8] }]
+  },
+  {
+    id: 'masquerade',
+    label: 'Masquerade',
+    layers: [{ type: 'image', src: '/filters/masquerade.svg', anchor: 'eyes', width: 2.32, offset: [0, 0.03] }]
+  },
+  {
+    id: 'clown-nose',
+    label: 'Clown Nose',
+    layers: [{ type: 'circle', anchor: 'nose', radius: 0.28, fill: '#e11d48' }]
+  },
+  {
+    id: 'mesh',
+    label: 'Face Mesh',
+    layers: [{ type: 'mesh', stroke: 'rgba(56, 189, 248, 0.9)', lineWidth: 1.5 }]
+  }
+];
+
+// Decoded images by URL; missing entries are still loading or failed
+const images = new Map();
+const pending = new Map();
+
+/**
+ * Load the images a filter needs
+ *
+ * Layers whose image is not loaded yet are skipped when drawing, so
+ * calling this ahead of time only avoids a few bare frames.
+ *
+ * @param {Object} filter - Filter definition
+ * @returns {Promise<void>} Rejects if any image fails to load
+ */
+export const loadFilter = (filter) => Promise.all(
+  filter.layers
+    .filter(layer => layer.type === 'image')
+    .map(({ src }) => {
+      if (!pending.has(src)) {
+        const image = new Image();
+        const loaded = new Promise((resolve, reject) => {
+          image.onload = () => {
+            images.set(src, image);
+            resolve();
+          };
+          image.onerror = () => {
+            // Allow a later call to retry
+            pending.delete(src);
+            reject(new Error(`Failed to load filter image ${src}`));
+          };
+        });
+        image.src = src;
+        pending.set(src, loaded);
+      }
+      return pending.get(src);
+    })
+).then(() => undefined);
+
+/**
+ * Draw one layer in the face's rotated frame, where one unit is the eye
+ * distance and the origin is the layer's anchor
+ */
+const drawLayer = (ctx, layer, points, unit, roll) => {
+  if (layer.type === 'mesh') {
+    ctx.strokeStyle = layer.stroke ?? '#38bdf8';
+    ctx.lineWidth = layer.lineWidth ?? 1;
+    ctx.beginPath();
+    MESH_EDGES.forEach(([a, b]) => {
+      ctx.moveTo(points[a][0], points[a][1]);
+      ctx.lineTo(points[b][0], points[b][1]);
+    });
+    ctx.stroke();
+    return;
+  }
+
+  const anchor = ANCHORS[layer.anchor];
+  if (!anchor) return;
+
+  const [ax, ay] = anchor(points);
+  const [dx, dy] = layer.offset ?? [0, 0];
+
+  ctx.save();
+  ctx.translate(ax, ay);
+  ctx.rotate(roll);
+  ctx.scale(unit, unit);
+  ctx.translate(dx, dy);
+
+  if (layer.type === 'image') {
+    const image = images.get(layer.src);
+    if (image) {
+      const height = layer.height ?? layer.width * image.naturalHeight / image.naturalWidth;
+      ctx.drawImage(image, -layer.width / 2, -height / 2, layer.width, height);
+    }
+  } else if (layer.type === 'circle') {
+    ctx.beginPath();
+    ctx.arc(0, 0, layer.radius, 0, Math.PI * 2);
+    if (layer.fill) {
+      ctx.fillStyle = layer.fill;
+      ctx.fill();
+    }
+    if (layer.stroke) {
+      ctx.strokeStyle = layer.stroke;
+      ctx.lineWidth = (layer.lineWidth ?? 1) / unit;
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+};
+
+/**
+ * Draw a filter on every face
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} faces - Face records in source video pixels
+ * @param {Object} filter - Filter definition
+ * @param {Object} options
+ * @param {{ width: number, height: number }} options.sourceSize - Size the records were measured in
+ */
+export const drawFilter = (canvas, faces, filter, { sourceSize }) => {
+  const ctx = canvas.getContext('2d');
+  const scaleX = canvas.width / sourceSize.width;
+  const scaleY = canvas.height / sourceSize.height;
+
+  faces.forEach(face => {
+    if (face.landmarks.length !== 68) return;
+
+    const points = face.landmarks.map(([x, y]) => [x * scaleX, y * scaleY]);
+    const [rx, ry] = centerOf(points, GROUPS.rightEye);
+    const [lx, ly] = centerOf(points, GROUPS.leftEye);
+    const unit = Math.hypot(lx - rx, ly - ry);
+    const roll = Math.atan2(ly - ry, lx - rx);
+    if (unit === 0) return;
+
+    ctx.save();
+    filter.layers.forEach(layer => drawLayer(ctx, layer, points, unit, roll));
+    ctx.restore();
+  });
+};
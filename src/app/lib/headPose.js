@@ -0,0 +1,146 @@
+/**
+ * Head Pose Estimation
+ *
+ * Fits a generic 3D face model to six of the 68 landmarks, solvePnP-style,
+ * under a scaled orthographic camera. Faces are small relative to their
+ * distance from a webcam, so perspective effects are negligible and the fit
+ * reduces to linear least squares followed by orthonormalization.
+ *
+ * Angles are in degrees, in camera space (x right, y down, z away from
+ * the camera):
+ * - yaw: positive when the face turns toward the right of the image
+ * - pitch: positive when the face tilts up
+ * - roll: positive when the head tilts clockwise in the image
+ */
+
+/**
+ * Generic face model in camera space, millimeter-ish units, nose tip at the
+ * origin, paired with the landmark index each point corresponds to
+ */
+const MODEL_POINTS = [
+  { index: 30, point: [0, 0, 0] },          // Nose tip
+  { index: 8, point: [0, 330, 65] },        // Chin
+  { index: 36, point: [-225, -170, 135] },  // Outer corner of the image-left eye
+  { index: 45, point: [225, -170, 135] },   // Outer corner of the image-right eye
+  { index: 48, point: [-150, 150, 125] },   // Image-left mouth corner
+  { index: 54, point: [150, 150, 125] }     // Image-right mouth corner
+];
+
+const MODEL_CENTER = [0, 1, 2].map(axis =>
+  MODEL_POINTS.reduce((sum, { point }) => sum + point[axis], 0) / MODEL_POINTS.length
+);
+
+const CENTERED_MODEL = MODEL_POINTS.map(({ point }) => point.map((value, axis) => value - MODEL_CENTER[axis]));
+
+const DEGREES = 180 / Math.PI;
+
+/**
+ * Invert a 3x3 matrix
+ */
+const invert3 = (m) => {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+};
+
+// (PᵀP)⁻¹ of the centered model never changes, so compute it once
+const MODEL_NORMAL_INVERSE = invert3([0, 1, 2].map(r => [0, 1, 2].map(c =>
+  CENTERED_MODEL.reduce((sum, point) => sum + point[r] * point[c], 0)
+)));
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (v) => Math.hypot(v[0], v[1], v[2]);
+const scale = (v, s) => [v[0] * s, v[1] * s, v[2] * s];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Estimate head orientation from 68-point landmarks
+ *
+ * @param {Array<[number, number]>} landmarks - Points in image pixels
+ * @returns {{ yaw: number, pitch: number, roll: number }|null} Degrees, or
+ *   null when the landmarks are degenerate
+ */
+export const estimateHeadPose = (landmarks) => {
+  if (landmarks.length !== 68) return null;
+
+  const image = MODEL_POINTS.map(({ index }) => landmarks[index]);
+  const cx = image.reduce((sum, [x]) => sum + x, 0) / image.length;
+  const cy = image.reduce((sum, [, y]) => sum + y, 0) / image.length;
+
+  // Least-squares projection rows: row = (Σ p·P) (PᵀP)⁻¹
+  const rows = [0, 1].map(axis => {
+    const offset = axis === 0 ? cx : cy;
+    const correlation = [0, 1, 2].map(c =>
+      CENTERED_MODEL.reduce((sum, point, i) => sum + (image[i][axis] - offset) * point[c], 0)
+    );
+    return [0, 1, 2].map(c => dot(correlation, MODEL_NORMAL_INVERSE.map(row => row[c])));
+  });
+
+  const lengths = rows.map(norm);
+  if (lengths[0] === 0 || lengths[1] === 0) return null;
+
+  // Nearest pair of orthonormal rows, splitting the error evenly between them
+  let r1 = scale(rows[0], 1 / lengths[0]);
+  let r2 = scale(rows[1], 1 / lengths[1]);
+  const skew = dot(r1, r2) / 2;
+  [r1, r2] = [
+    [0, 1, 2].map(i => r1[i] - skew * r2[i]),
+    [0, 1, 2].map(i => r2[i] - skew * r1[i])
+  ];
+  r1 = scale(r1, 1 / norm(r1));
+  r2 = scale(r2, 1 / norm(r2));
+  const r3 = cross(r1, r2);
+
+  // R = Rz(roll) · Ry(yaw) · Rx(pitch)
+  const yaw = Math.asin(Math.max(-1, Math.min(1, -r3[0])));
+  const pitch = Math.atan2(r3[1], r3[2]);
+  const roll = Math.atan2(r2[0], r1[0]);
+
+  return {
+    yaw: round(-yaw * DEGREES),
+    pitch: round(-pitch * DEGREES),
+    roll: round(roll * DEGREES)
+  };
+};
+
+/**
+ * Image-space directions of the head's axes, for drawing a gizmo
+ *
+ * Inverts the angle conventions of estimateHeadPose and projects the
+ * model's unit axes orthographically.
+ *
+ * @param {{ yaw: number, pitch: number, roll: number }} pose - Degrees
+ * @returns {{ x: [number, number], y: [number, number], z: [number, number] }}
+ *   Unit-length-or-shorter 2D vectors: x toward the image-right ear, y up
+ *   the face, z out of the face toward the camera
+ */
+export const poseAxes = ({ yaw, pitch, roll }) => {
+  const a = -pitch / DEGREES;
+  const b = -yaw / DEGREES;
+  const c = roll / DEGREES;
+  const [ca, sa, cb, sb, cc, sc] = [Math.cos(a), Math.sin(a), Math.cos(b), Math.sin(b), Math.cos(c), Math.sin(c)];
+
+  // First two rows of Rz(c) · Ry(b) · Rx(a)
+  const r1 = [cc * cb, cc * sb * sa - sc * ca, cc * sb * ca + sc * sa];
+  const r2 = [sc * cb, sc * sb * sa + cc * ca, sc * sb * ca - cc * sa];
+
+  return {
+    x: [r1[0], r2[0]],
+    y: [-r1[1], -r2[1]],
+    z: [-r1[2], -r2[2]]
+  };
+};
@@ -0,0 +1,211 @@
+/**
+ * Landmark Export
+ *
+ * Collects per-frame detection results during a recording and serializes
+ * them as JSON Lines or CSV. See docs/landmark-export.md for the schema.
+ */
+
+import { estimateHeadPose } from './headPose';
+import { faceEyeAspectRatio } from './blinks';
+
+export const LANDMARK_SCHEMA_VERSION = 7;
+
+/**
+ * Expression classes in face-api's output order
+ */
+export const EXPRESSIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+
+const LANDMARK_COUNT = 68;
+
+/**
+ * Round to two decimals to keep exports compact
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert one face-api result into a plain export record
+ *
+ * @param {Object} result - Output of detectAllFaces().withFaceLandmarks()
+ * @param {number} index - Position of the face within the frame
+ * @returns {Object}
+ */
+export const serializeFace = (result, index) => {
+  const { detection, landmarks, expressions, age, gender, genderProbability } = result;
+  const { box } = detection;
+  const points = landmarks.positions.map(point => [round(point.x), round(point.y)]);
+  const pose = estimateHeadPose(points);
+  const ear = faceEyeAspectRatio(points);
+
+  return {
+    index,
+    score: round(detection.score),
+    box: {
+      x: round(box.x),
+      y: round(box.y),
+      width: round(box.width),
+      height: round(box.height)
+    },
+    landmarks: points,
+    ...(pose && { pose }),
+    ...(ear !== null && { ear: Math.round(ear * 1000) / 1000 }),
+    ...(expressions && {
+      expression: expressions.asSortedArray()[0].expression,
+      expressions: Object.fromEntries(EXPRESSIONS.map(name => [name, round(expressions[name])]))
+    }),
+    ...(age !== undefined && {
+      age: round(age),
+      gender,
+      genderProbability: round(genderProbability)
+    })
+  };
+};
+
+/**
+ * Create an in-memory track of detection frames
+ *
+ * @returns {{ addFrame: Function, getFrames: Function, clear: Function }}
+ */
+export const createLandmarkTrack = () => {
+  let frames = [];
+
+  return {
+    /**
+     * Append one detection tick
+     *
+     * @param {number} t - Milliseconds since recording start
+     * @param {Array} faces - Face records from serializeFace
+     * @param {{ width: number, height: number }} size - Source video size
+     * @param {Object} [options]
+     * @param {boolean} [options.smoothed=false] - Faces were temporally smoothed
+     */
+    addFrame: (t, faces, size, { smoothed = false } = {}) => {
+      frames.push({
+        v: LANDMARK_SCHEMA_VERSION,
+        frame: frames.length,
+        t: round(t),
+        width: size.width,
+        height: size.height,
+        smoothed,
+        faces
+      });
+    },
+    getFrames: () => frames,
+    clear: () => {
+      frames = [];
+    }
+  };
+};
+
+/**
+ * Find the latest frame at or before a timestamp
+ *
+ * @param {Array} frames - Frames sorted by `t`
+ * @param {number} t - Milliseconds on the recording timeline
+ * @returns {Object|null}
+ */
+export const findFrameAt = (frames, t) => {
+  let low = 0;
+  let high = frames.length - 1;
+  let match = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (frames[mid].t <= t) {
+      match = frames[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Serialize frames as JSON Lines, one frame per line
+ *
+ * @param {Array} frames
+ * @returns {string}
+ */
+export const toJsonLines = (frames) =>
+  frames.map(frame => JSON.stringify(frame)).join('\n') + (frames.length ? '\n' : '');
+
+/**
+ * Parse a JSON Lines export back into frames
+ *
+ * Frames are sorted by `t` and renumbered, so files edited or filtered by
+ * hand still play back in order.
+ *
+ * @param {string} text - Contents of a `.jsonl` export
+ * @returns {Array} Frames
+ * @throws {Error} If a line is not a frame of a supported schema version
+ */
+export const fromJsonLines = (text) => {
+  const frames = text.split('\n').filter(line => line.trim()).map((line, index) => {
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${index + 1} is not valid JSON`);
+    }
+    if (!Number.isFinite(frame?.t) || !Array.isArray(frame.faces)) {
+      throw new Error(`Line ${index + 1} is not a landmark frame`);
+    }
+    if (frame.v > LANDMARK_SCHEMA_VERSION) {
+      throw new Error(`Line ${index + 1} uses schema version ${frame.v}, newer than ${LANDMARK_SCHEMA_VERSION}`);
+    }
+    return frame;
+  });
+
+  return frames
+    .sort((a, b) => a.t - b.t)
+    .map((frame, index) => ({ ...frame, frame: index }));
+};
+
+/**
+ * CSV header: fixed columns followed by x/y pairs for all 68 points
+ */
+export const CSV_COLUMNS = [
+  'v', 'frame', 't_ms', 'width', 'height', 'smoothed', 'face_index', 'track_id', 'score', 'label',
+  'box_x', 'box_y', 'box_width', 'box_height',
+  'expression', ...EXPRESSIONS.map(name => `expr_${name}`),
+  'age', 'gender', 'gender_score',
+  'yaw', 'pitch', 'roll', 'ear',
+  ...Array.from({ length: LANDMARK_COUNT }, (_, i) => [`x${i}`, `y${i}`]).flat()
+];
+
+/**
+ * Quote a free-text CSV value
+ */
+const csvText = (value) =>
+  value == null ? '' : `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * Serialize frames as CSV, one row per detected face
+ *
+ * Frames without faces produce no rows; use the JSON Lines export when
+ * empty frames matter.
+ *
+ * @param {Array} frames
+ * @returns {string}
+ */
+export const toCsv = (frames) => {
+  const rows = [CSV_COLUMNS.join(',')];
+
+  frames.forEach(frame => {
+    frame.faces.forEach(face => {
+      rows.push([
+        frame.v, frame.frame, frame.t, frame.width, frame.height, frame.smoothed ? 1 : 0, face.index, face.trackId ?? '', face.score,
+        csvText(face.label),
+        face.box.x, face.box.y, face.box.width, face.box.height,
+        face.expression ?? '',
+        ...EXPRESSIONS.map(name => face.expressions?.[name] ?? ''),
+        face.age ?? '', face.gender ?? '', face.genderProbability ?? '',
+        face.pose?.yaw ?? '', face.pose?.pitch ?? '', face.pose?.roll ?? '', face.ear ?? '',
+        ...face.landmarks.flat()
+      ].join(','));
+    });
+  });
+
+  return rows.join('\n') + '\n';
+};
@@ -0,0 +1,134 @@
+/**
+ * Media Element Helpers
+ *
+ * Promise wrappers around HTMLMediaElement events used when driving a video
+ * programmatically instead of letting it play.
+ */
+
+/**
+ * Resolve on the next occurrence of an event, reject on `error`
+ *
+ * @param {EventTarget} target
+ * @param {string} eventName
+ * @returns {Promise<Event>}
+ */
+export const waitForEvent = (target, eventName) => new Promise((resolve, reject) => {
+  const handleEvent = (event) => {
+    cleanup();
+    resolve(event);
+  };
+  const handleError = () => {
+    cleanup();
+    reject(new Error(`Error while waiting for "${eventName}"`));
+  };
+  const cleanup = () => {
+    target.removeEventListener(eventName, handleEvent);
+    target.removeEventListener('error', handleError);
+  };
+
+  target.addEventListener(eventName, handleEvent);
+  target.addEventListener('error', handleError);
+});
+
+/**
+ * Seek a video and wait until the frame at `time` is available
+ *
+ * @param {HTMLVideoElement} video
+ * @param {number} time - Position in seconds
+ */
+export const seekVideo = async (video, time) => {
+  const seeked = waitForEvent(video, 'seeked');
+  video.currentTime = time;
+  await seeked;
+};
+
+/**
+ * Load a video source and wait for its metadata
+ *
+ * @param {HTMLVideoElement} video
+ * @param {string} src - Object URL or path
+ * @returns {Promise<{ width: number, height: number, duration: number }>}
+ */
+export const loadVideo = async (video, src) => {
+  const loaded = waitForEvent(video, 'loadeddata');
+  video.src = src;
+  await loaded;
+
+  // WebM files written by MediaRecorder report an infinite duration until
+  // the end of the file has been seeked once
+  if (!Number.isFinite(video.duration)) {
+    await seekVideo(video, Number.MAX_SAFE_INTEGER);
+    await seekVideo(video, 0);
+  }
+
+  return {
+    width: video.videoWidth,
+    height: video.videoHeight,
+    duration: video.duration
+  };
+};
+
+/**
+ * Measure the time between frames of a video by playing a few of them
+ *
+ * Browsers do not expose a file's frame rate, so this watches frames being
+ * presented with requestVideoFrameCallback. Playback is slowed down so that
+ * no frame is skipped on slow displays, and the shortest gap between frames
+ * is taken. The video is left paused at the start.
+ *
+ * @param {HTMLVideoElement} video - A loaded video
+ * @param {Object} [options]
+ * @param {number} [options.frames=6] - Frame gaps to observe
+ * @param {number} [options.timeoutMs=3000] - Give up after this long, e.g. in a background tab
+ * @returns {Promise<number|null>} Seconds per frame, or null when it could not be measured
+ */
+export const measureFrameInterval = async (video, { frames = 6, timeoutMs = 3000 } = {}) => {
+  if (!('requestVideoFrameCallback' in video)) return null;
+
+  const times = [];
+  const { muted, playbackRate } = video;
+  let handle = null;
+  let timer = null;
+  let stop = null;
+
+  try {
+    await seekVideo(video, 0);
+    const collected = new Promise(resolve => {
+      stop = resolve;
+      const collect = (now, metadata) => {
+        times.push(metadata.mediaTime);
+        if (times.length > frames) {
+          resolve();
+        } else {
+          handle = video.requestVideoFrameCallback(collect);
+        }
+      };
+      handle = video.requestVideoFrameCallback(collect);
+      timer = setTimeout(resolve, timeoutMs);
+      video.addEventListener('ended', resolve);
+    });
+
+    video.muted = true;
+    video.playbackRate = 0.25;
+    await video.play();
+    await collected;
+  } catch (err) {
+    console.warn('Could not measure the frame rate:', err);
+  } finally {
+    clearTimeout(timer);
+    video.removeEventListener('ended', stop);
+    if (handle !== null) video.cancelVideoFrameCallback(handle);
+    video.pause();
+    video.muted = muted;
+    video.playbackRate = playbackRate;
+  }
+
+  await seekVideo(video, 0);
+
+  const gaps = times.slice(1).map((time, index) => time - times[index]).filter(gap => gap > 0);
+  if (gaps.length === 0) return null;
+
+  // Anything outside 1–240 FPS is a measuring error, not the file's rate
+  const interval = Math.min(...gaps);
+  return interval >= 1 / 240 && interval <= 1 ? interval : null;
+};
@@ -0,0 +1,156 @@
+/**
+ * Detection Overlay Drawing
+ *
+ * Draws serialized face records (see landmarkExport.js) with face-api's
+ * drawing primitives. Live detection, file analysis and playback all go
+ * through drawFaces so overlays look the same everywhere.
+ */
+
+import * as faceapi from 'face-api.js';
+import { drawFilter } from './filters';
+import { poseAxes } from './headPose';
+
+// Gizmo axis colors: x red, y green, z blue
+const POSE_AXIS_COLORS = { x: '#ef4444', y: '#22c55e', z: '#3b82f6' };
+
+/**
+ * Text lines for the optional analysis attributes of a face
+ *
+ * @param {Object} face - Face record
+ * @param {boolean} showPose - Include head pose angles
+ * @returns {string[]}
+ */
+const describeAttributes = (face, showPose) => {
+  const lines = [];
+
+  if (face.expression) {
+    lines.push(`${face.expression} (${face.expressions[face.expression].toFixed(2)})`);
+  }
+  if (face.age !== undefined) {
+    lines.push(`${Math.round(face.age)} years, ${face.gender}`);
+  }
+  if (showPose && face.pose) {
+    const { yaw, pitch, roll } = face.pose;
+    lines.push(`yaw ${Math.round(yaw)}° pitch ${Math.round(pitch)}° roll ${Math.round(roll)}°`);
+  }
+
+  return lines;
+};
+
+/**
+ * Draw head pose axes from the nose tip
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} face - Face record with `pose`
+ * @param {number} scaleX
+ * @param {number} scaleY
+ */
+const drawPoseGizmo = (ctx, face, scaleX, scaleY) => {
+  const [noseX, noseY] = face.landmarks[30];
+  const origin = [noseX * scaleX, noseY * scaleY];
+  const length = face.box.width * scaleX * 0.5;
+  const axes = poseAxes(face.pose);
+
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  Object.entries(axes).forEach(([axis, [dx, dy]]) => {
+    ctx.strokeStyle = POSE_AXIS_COLORS[axis];
+    ctx.beginPath();
+    ctx.moveTo(origin[0], origin[1]);
+    ctx.lineTo(origin[0] + dx * length, origin[1] + dy * length);
+    ctx.stroke();
+  });
+  ctx.restore();
+};
+
+/**
+ * Draw face boxes and landmarks onto a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} faces - Face records in source video pixels
+ * @param {Object} options
+ * @param {{ width: number, height: number }} options.sourceSize - Size the records were measured in
+ * @param {boolean} [options.showBoxes=true] - Draw detection boxes
+ * @param {boolean} [options.showLabels=true] - Label each face with its track ID and
+ *   name or score; drawn on the box, or on its own when boxes are off
+ * @param {boolean} [options.showLandmarks=true] - Draw 68-point landmarks
+ * @param {boolean} [options.showAttributes=true] - Draw expression and age/gender below the box
+ * @param {boolean} [options.showPose=false] - Draw head pose axes and angles
+ */
+export const drawFaces = (canvas, faces, {
+  sourceSize,
+  showBoxes = true,
+  showLabels = true,
+  showLandmarks = true,
+  showAttributes = true,
+  showPose = false
+}) => {
+  const scaleX = canvas.width / sourceSize.width;
+  const scaleY = canvas.height / sourceSize.height;
+
+  faces.forEach(face => {
+    const box = {
+      x: face.box.x * scaleX,
+      y: face.box.y * scaleY,
+      width: face.box.width * scaleX,
+      height: face.box.height * scaleY
+    };
+    // Recognized faces are labelled by name instead of score
+    const label = showLabels ? [
+      face.trackId !== undefined && `#${face.trackId}`,
+      face.label ?? `${face.score}`
+    ].filter(Boolean).join(' ') : undefined;
+
+    if (showBoxes) {
+      new faceapi.draw.DrawBox(box, { label }).draw(canvas);
+    } else if (label) {
+      // Same placement DrawBox uses for its label, without the frame
+      new faceapi.draw.DrawTextField([label], { x: box.x, y: box.y }, {
+        anchorPosition: faceapi.draw.AnchorPosition.BOTTOM_LEFT
+      }).draw(canvas);
+    }
+
+    if (showLandmarks) {
+      // FaceLandmarks68 expects positions relative to the image dimensions
+      const relativePoints = face.landmarks.map(([x, y]) =>
+        new faceapi.Point(x / sourceSize.width, y / sourceSize.height)
+      );
+      const landmarks = new faceapi.FaceLandmarks68(relativePoints, {
+        width: canvas.width,
+        height: canvas.height
+      });
+      new faceapi.draw.DrawFaceLandmarks(landmarks).draw(canvas);
+    }
+
+    if (showPose && face.pose) {
+      drawPoseGizmo(canvas.getContext('2d'), face, scaleX, scaleY);
+    }
+
+    const attributes = showAttributes ? describeAttributes(face, showPose) : [];
+    if (attributes.length > 0) {
+      const anchor = {
+        x: face.box.x * scaleX,
+        y: (face.box.y + face.box.height) * scaleY
+      };
+      new faceapi.draw.DrawTextField(attributes, anchor).draw(canvas);
+    }
+  });
+};
+
+/**
+ * Clear a canvas and draw a fresh set of faces
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} faces
+ * @param {Object} options - See drawFaces
+ * @param {Object|null} [options.filter] - Face filter drawn beneath boxes and landmarks
+ */
+export const renderOverlay = (canvas, faces, options) => {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (options.filter) {
+    drawFilter(canvas, faces, options.filter, options);
+  }
+  drawFaces(canvas, faces, options);
+};
@@ -0,0 +1,82 @@
+/**
+ * Face Recognition
+ *
+ * Descriptor extraction and matching on top of face-api's recognition net.
+ * The model is optional and only loaded when recognition is switched on.
+ */
+
+import * as faceapi from 'face-api.js';
+import { DEFAULT_DETECTOR_SETTINGS, createDetectorOptions, loadOptionalModel } from './detection';
+
+// Euclidean distance above which a face is reported as unknown
+export const MATCH_THRESHOLD = 0.6;
+
+export const UNKNOWN_LABEL = 'unknown';
+
+/**
+ * Load the face recognition model if it is not loaded yet
+ *
+ * @param {string} [modelUrl]
+ */
+export const loadRecognitionModel = (modelUrl) => loadOptionalModel('recognition', modelUrl);
+
+/**
+ * Compute the descriptor of the most prominent face in an image
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+ * @param {Object} [settings=DEFAULT_DETECTOR_SETTINGS] - Detector settings
+ * @returns {Promise<Object|undefined>} Detection with landmarks and descriptor
+ */
+export const computeDescriptor = (input, settings = DEFAULT_DETECTOR_SETTINGS) =>
+  faceapi
+    .detectSingleFace(input, createDetectorOptions(settings))
+    .withFaceLandmarks(settings.landmarkModel === 'tiny')
+    .withFaceDescriptor();
+
+/**
+ * Build a matcher from gallery entries
+ *
+ * @param {Array<{ name: string, descriptors: number[][] }>} people
+ * @returns {faceapi.FaceMatcher|null} null when the gallery is empty
+ */
+export const createMatcher = (people) => {
+  const labeled = people
+    .filter(person => person.descriptors.length > 0)
+    .map(person => new faceapi.LabeledFaceDescriptors(
+      person.name,
+      person.descriptors.map(descriptor => new Float32Array(descriptor))
+    ));
+
+  return labeled.length > 0 ? new faceapi.FaceMatcher(labeled, MATCH_THRESHOLD) : null;
+};
+
+/**
+ * Name the person a descriptor belongs to
+ *
+ * @param {faceapi.FaceMatcher} matcher
+ * @param {Float32Array} descriptor
+ * @returns {string} Person name or UNKNOWN_LABEL
+ */
+export const matchDescriptor = (matcher, descriptor) =>
+  matcher.findBestMatch(descriptor).label;
+
+/**
+ * Crop a face from an image into a small square data URL thumbnail
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement} input
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ * @param {number} [size=96]
+ * @returns {string}
+ */
+export const createThumbnail = (input, box, size = 96) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const side = Math.max(box.width, box.height);
+  const x = box.x + box.width / 2 - side / 2;
+  const y = box.y + box.height / 2 - side / 2;
+  canvas.getContext('2d').drawImage(input, x, y, side, side, 0, 0, size, size);
+
+  return canvas.toDataURL('image/jpeg', 0.8);
+};
@@ -0,0 +1,142 @@
+/**
+ * Recording Formats
+ *
+ * MediaRecorder codec support differs per browser (e.g. Safari records
+ * MP4/H.264 only, Firefox has no VP9). The recorder asks for the best
+ * supported candidate in the preferred container, falls back to the other
+ * container, and finally lets the browser pick. File extension and Blob
+ * type are always derived from the format that was actually recorded.
+ */
+
+/**
+ * Container choices offered to the user
+ */
+export const CONTAINERS = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'webm', label: 'WebM' },
+  { value: 'mp4', label: 'MP4' }
+];
+
+/**
+ * Video bitrate choices in bits per second; 0 leaves it to the browser
+ */
+export const BITRATES = [
+  { value: 0, label: 'Auto' },
+  { value: 1000000, label: '1 Mbps' },
+  { value: 2500000, label: '2.5 Mbps' },
+  { value: 5000000, label: '5 Mbps' },
+  { value: 8000000, label: '8 Mbps' }
+];
+
+export const DEFAULT_RECORDING_PREFERENCES = {
+  container: 'auto',
+  bitrate: 0
+};
+
+/**
+ * Codec candidates in order of preference
+ */
+const CODEC_CANDIDATES = [
+  { container: 'webm', label: 'VP9', video: 'vp9', audio: 'opus' },
+  { container: 'webm', label: 'VP8', video: 'vp8', audio: 'opus' },
+  { container: 'webm', label: 'H.264', video: 'h264', audio: 'opus' },
+  { container: 'mp4', label: 'H.264', video: 'avc1.42E01E', audio: 'mp4a.40.2' },
+  { container: 'mp4', label: 'H.264', video: 'avc1', audio: 'mp4a' }
+];
+
+/**
+ * Clamp untrusted preferences (e.g. from localStorage) to supported values
+ *
+ * @param {Object} prefs
+ * @returns {Object}
+ */
+export const sanitizeRecordingPreferences = (prefs = {}) => {
+  const merged = { ...DEFAULT_RECORDING_PREFERENCES, ...prefs };
+
+  return {
+    container: CONTAINERS.some(c => c.value === merged.container)
+      ? merged.container
+      : DEFAULT_RECORDING_PREFERENCES.container,
+    bitrate: BITRATES.some(b => b.value === merged.bitrate)
+      ? merged.bitrate
+      : DEFAULT_RECORDING_PREFERENCES.bitrate
+  };
+};
+
+/**
+ * Pick the best supported recording format
+ *
+ * @param {Object} options
+ * @param {string} [options.container='auto'] - Preferred container
+ * @param {boolean} [options.withAudio=false] - Whether the stream carries audio
+ * @returns {{ mimeType: string, label: string }} mimeType is '' when only the browser default works
+ */
+export const negotiateFormat = ({ container = 'auto', withAudio = false } = {}) => {
+  if (typeof MediaRecorder === 'undefined') {
+    return { mimeType: '', label: 'Unsupported' };
+  }
+
+  // Preferred container first, the other one as a fallback
+  const ordered = container === 'auto'
+    ? CODEC_CANDIDATES
+    : [
+      ...CODEC_CANDIDATES.filter(c => c.container === container),
+      ...CODEC_CANDIDATES.filter(c => c.container !== container)
+    ];
+
+  for (const candidate of ordered) {
+    const codecs = withAudio ? `${candidate.video},${candidate.audio}` : candidate.video;
+    const mimeType = `video/${candidate.container};codecs=${codecs}`;
+    if (MediaRecorder.isTypeSupported(mimeType)) {
+      return { mimeType, label: `${candidate.container.toUpperCase()} · ${candidate.label}` };
+    }
+  }
+
+  for (const bare of ['video/webm', 'video/mp4']) {
+    if (MediaRecorder.isTypeSupported(bare)) {
+      return { mimeType: bare, label: bare.split('/')[1].toUpperCase() };
+    }
+  }
+
+  return { mimeType: '', label: 'Browser default' };
+};
+
+/**
+ * Create a MediaRecorder using the negotiated format and bitrate
+ *
+ * @param {MediaStream} stream
+ * @param {Object} prefs - Recording preferences
+ * @returns {MediaRecorder}
+ */
+export const createRecorder = (stream, prefs) => {
+  const { mimeType } = negotiateFormat({
+    container: prefs.container,
+    withAudio: stream.getAudioTracks().length > 0
+  });
+
+  return new MediaRecorder(stream, {
+    ...(mimeType && { mimeType }),
+    ...(prefs.bitrate > 0 && { videoBitsPerSecond: prefs.bitrate })
+  });
+};
+
+/**
+ * Blob type for a finished recording, without codec parameters
+ *
+ * @param {MediaRecorder} recorder
+ * @returns {string}
+ */
+export const recordedBlobType = (recorder) =>
+  (recorder.mimeType || 'video/webm').split(';')[0];
+
+/**
+ * File extension matching a recorded MIME type
+ *
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export const extensionForType = (mimeType = '') => {
+  if (mimeType.includes('mp4')) return 'mp4';
+  if (mimeType.includes('matroska')) return 'mkv';
+  return 'webm';
+};
@@ -0,0 +1,333 @@
+/**
+ * Face Redaction
+ *
+ * Blurs, pixelates or blacks out detected faces in composited frames.
+ * Detections arrive far less often than output frames, so face positions
+ * are interpolated between ticks (or extrapolated past the latest one
+ * while live), and a lost face stays covered until a later tick confirms
+ * it is gone, so a face never flashes unredacted between detections.
+ */
+
+import { findFrameAt } from './landmarkExport';
+
+/**
+ * Available redaction styles
+ */
+export const REDACTION_STYLES = {
+  OFF: 'off',
+  BLUR: 'blur',
+  PIXELATE: 'pixelate',
+  BLACK: 'black'
+};
+
+/**
+ * Select options for the redaction style picker
+ */
+export const REDACTION_STYLE_OPTIONS = [
+  { value: REDACTION_STYLES.OFF, label: 'Off' },
+  { value: REDACTION_STYLES.BLUR, label: 'Blur' },
+  { value: REDACTION_STYLES.PIXELATE, label: 'Pixelate' },
+  { value: REDACTION_STYLES.BLACK, label: 'Black Box' }
+];
+
+/**
+ * Available redaction shapes
+ */
+export const REDACTION_SHAPES = {
+  BOX: 'box',
+  OUTLINE: 'outline'
+};
+
+/**
+ * Select options for the redaction shape picker
+ */
+export const REDACTION_SHAPE_OPTIONS = [
+  { value: REDACTION_SHAPES.BOX, label: 'Detection Box' },
+  { value: REDACTION_SHAPES.OUTLINE, label: 'Face Outline' }
+];
+
+/**
+ * Redaction settings used when nothing has been saved
+ */
+export const DEFAULT_REDACTION_SETTINGS = {
+  style: REDACTION_STYLES.OFF,
+  shape: REDACTION_SHAPES.BOX,
+  padding: 0.2
+};
+
+// Shortest time a face missing from a tick stays redacted, however fast detection runs
+const MIN_HOLD_MS = 500;
+
+// Forehead height above the brows, as a fraction of brow-to-chin distance
+const FOREHEAD_RATIO = 0.5;
+
+// Reused between frames to avoid allocating a full-size canvas 30 times a second
+let snapshotCanvas = null;
+
+// Blocks per side of a pixelated face
+const PIXELATE_BLOCKS = 12;
+
+// Reused for every pixelated face, which is shrunk to PIXELATE_BLOCKS squared
+let pixelCanvas = null;
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeRedactionSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_REDACTION_SETTINGS, ...settings };
+  const padding = Number(merged.padding);
+
+  return {
+    style: Object.values(REDACTION_STYLES).includes(merged.style) ? merged.style : DEFAULT_REDACTION_SETTINGS.style,
+    shape: Object.values(REDACTION_SHAPES).includes(merged.shape) ? merged.shape : DEFAULT_REDACTION_SETTINGS.shape,
+    padding: Number.isFinite(padding) ? Math.min(Math.max(padding, 0), 0.5) : DEFAULT_REDACTION_SETTINGS.padding
+  };
+};
+
+const lerp = (a, b, amount) => a + (b - a) * amount;
+
+/**
+ * Blend two face records by `amount` (0 = a, 1 = b; >1 extrapolates)
+ */
+const blendFaces = (a, b, amount) => ({
+  ...b,
+  box: {
+    x: lerp(a.box.x, b.box.x, amount),
+    y: lerp(a.box.y, b.box.y, amount),
+    width: lerp(a.box.width, b.box.width, amount),
+    height: lerp(a.box.height, b.box.height, amount)
+  },
+  landmarks: b.landmarks.map(([x, y], i) => [
+    lerp(a.landmarks[i][0], x, amount),
+    lerp(a.landmarks[i][1], y, amount)
+  ])
+});
+
+/**
+ * Faces to redact at time `t` in a recorded landmark track
+ *
+ * Tracked faces are interpolated between the surrounding frames. Faces
+ * present in only one of them are kept as-is, so a face is covered from
+ * the tick before it is first detected until the tick after it is lost.
+ *
+ * @param {Array} frames - Frames sorted by `t`
+ * @param {number} t - Milliseconds on the recording timeline
+ * @returns {Array} Face records
+ */
+export const facesAt = (frames, t) => {
+  const before = findFrameAt(frames, t);
+  const after = frames[before ? before.frame + 1 : 0];
+  if (!before || !after) return (before ?? after)?.faces ?? [];
+
+  const amount = (t - before.t) / (after.t - before.t);
+  const matched = new Set();
+  const faces = before.faces.map(face => {
+    const next = face.trackId !== undefined && after.faces.find(other => other.trackId === face.trackId);
+    if (!next) return face;
+    matched.add(next);
+    return blendFaces(face, next, amount);
+  });
+
+  return faces.concat(after.faces.filter(face => !matched.has(face)));
+};
+
+/**
+ * Follow live detections so faces can be redacted at output frame rate
+ *
+ * Faces only expire in update(), never with time alone: however long the
+ * next tick takes, every face from the last one stays covered until then.
+ *
+ * @returns {{ update: Function, facesAt: Function, reset: Function }}
+ */
+export const createRedactionTrack = () => {
+  // Latest two sightings per face, keyed by track ID (or index when untracked)
+  let sightings = new Map();
+  let holdMs = MIN_HOLD_MS;
+
+  return {
+    /**
+     * Record one detection tick
+     *
+     * A face missing from the tick is dropped once it has been missing for
+     * longer than one tick takes, so a single missed detection never uncovers it.
+     *
+     * @param {Array} faces - Face records
+     * @param {number} t - Capture time in milliseconds
+     * @param {Object} [timing]
+     * @param {number} [timing.intervalMs=0] - Configured time between detection ticks
+     * @param {number} [timing.latencyMs=0] - How long this tick's detection took
+     */
+    update: (faces, t, { intervalMs = 0, latencyMs = 0 } = {}) => {
+      // Busy frames are dropped, so the next tick can come an inference later than scheduled
+      holdMs = Math.max(intervalMs + latencyMs, MIN_HOLD_MS);
+
+      const seen = new Set();
+      faces.forEach((face, index) => {
+        const key = face.trackId ?? `index-${index}`;
+        const previous = sightings.get(key);
+        sightings.set(key, { previous: previous?.latest ?? null, latest: { t, face } });
+        seen.add(key);
+      });
+
+      sightings.forEach((sighting, key) => {
+        if (!seen.has(key) && t - sighting.latest.t > holdMs) sightings.delete(key);
+      });
+    },
+
+    /**
+     * Predicted faces at time `t`
+     *
+     * Motion is extrapolated from the last two sightings for at most one
+     * detection interval, then the face is held in place until a tick
+     * confirms it is gone.
+     *
+     * @param {number} t - Milliseconds on the same clock as update()
+     * @returns {Array} Face records
+     */
+    facesAt: (t) => {
+      const faces = [];
+      sightings.forEach(({ previous, latest }) => {
+        const age = t - latest.t;
+        const interval = previous ? latest.t - previous.t : 0;
+        if (interval <= 0 || interval > holdMs || age <= 0) {
+          faces.push(latest.face);
+          return;
+        }
+
+        faces.push(blendFaces(previous.face, latest.face, 1 + Math.min(age, interval) / interval));
+      });
+      return faces;
+    },
+
+    reset: () => {
+      sightings = new Map();
+    }
+  };
+};
+
+/**
+ * Trace the area to cover for one face, in canvas pixels
+ *
+ * The outline follows the jaw and continues above the brows to cover the
+ * forehead, tilted with the head. Both shapes grow by `padding` around
+ * their center.
+ */
+const traceFace = (ctx, face, { shape, padding, scaleX, scaleY, offsetX, offsetY }) => {
+  let points;
+
+  if (shape === REDACTION_SHAPES.OUTLINE && face.landmarks.length === 68) {
+    const jaw = face.landmarks.slice(0, 17);
+    const brows = face.landmarks.slice(17, 27).reverse();
+
+    // "Up" runs from the chin through the middle of the brows
+    const chin = face.landmarks[8];
+    const browCenter = brows.reduce(([sx, sy], [x, y]) => [sx + x / brows.length, sy + y / brows.length], [0, 0]);
+    const lift = [(browCenter[0] - chin[0]) * FOREHEAD_RATIO, (browCenter[1] - chin[1]) * FOREHEAD_RATIO];
+
+    points = [...jaw, ...brows.map(([x, y]) => [x + lift[0], y + lift[1]])];
+  } else {
+    const { x, y, width, height } = face.box;
+    points = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+  }
+
+  const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  const grow = 1 + padding;
+
+  ctx.beginPath();
+  points.forEach(([x, y], i) => {
+    const px = offsetX + (cx + (x - cx) * grow) * scaleX;
+    const py = offsetY + (cy + (y - cy) * grow) * scaleY;
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  ctx.closePath();
+
+  const size = Math.max(face.box.width * scaleX, face.box.height * scaleY) * grow;
+  return { cx: offsetX + cx * scaleX, cy: offsetY + cy * scaleY, size };
+};
+
+/**
+ * Redact faces in a frame already painted on `ctx`
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas holding the camera frame
+ * @param {Array} faces - Face records in source video pixels
+ * @param {Object} options
+ * @param {{ width: number, height: number }} options.sourceSize - Size the records were measured in
+ * @param {string} options.style - One of REDACTION_STYLES
+ * @param {string} [options.shape] - One of REDACTION_SHAPES
+ * @param {number} [options.padding=0.2] - Extra coverage as a fraction of face size
+ * @param {Set<number>} [options.exemptTrackIds] - Tracked faces to leave visible
+ * @param {{ x: number, y: number, width: number, height: number }} [options.area] - Part of
+ *   the canvas holding the frame, when it does not fill it; defaults to the whole canvas
+ */
+export const drawRedactions = (ctx, faces, {
+  sourceSize,
+  style,
+  shape = REDACTION_SHAPES.BOX,
+  padding = DEFAULT_REDACTION_SETTINGS.padding,
+  exemptTrackIds,
+  area
+}) => {
+  if (style === REDACTION_STYLES.OFF || faces.length === 0) return;
+
+  const { canvas } = ctx;
+  const { x: offsetX, y: offsetY, width, height } = area ?? { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  const scaleX = width / sourceSize.width;
+  const scaleY = height / sourceSize.height;
+
+  // Canvas filters are missing in some browsers; pixelate there instead
+  const effective = style === REDACTION_STYLES.BLUR && typeof ctx.filter !== 'string'
+    ? REDACTION_STYLES.PIXELATE
+    : style;
+
+  // Copy the frame once so every face samples unredacted pixels
+  let snapshot = null;
+  if (effective !== REDACTION_STYLES.BLACK) {
+    snapshotCanvas ??= document.createElement('canvas');
+    snapshot = snapshotCanvas;
+    // Setting the size clears and reallocates the canvas, so only do it when it changes
+    if (snapshot.width !== canvas.width || snapshot.height !== canvas.height) {
+      snapshot.width = canvas.width;
+      snapshot.height = canvas.height;
+    }
+    const snapshotCtx = snapshot.getContext('2d');
+    // The frame may not cover the whole canvas, so drop the last frame's pixels
+    snapshotCtx.clearRect(0, 0, snapshot.width, snapshot.height);
+    snapshotCtx.drawImage(canvas, 0, 0);
+  }
+
+  faces.forEach(face => {
+    if (face.trackId !== undefined && exemptTrackIds?.has(face.trackId)) return;
+
+    ctx.save();
+    const { cx, cy, size } = traceFace(ctx, face, { shape, padding, scaleX, scaleY, offsetX, offsetY });
+    ctx.clip();
+
+    if (effective === REDACTION_STYLES.BLACK) {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    } else if (effective === REDACTION_STYLES.BLUR) {
+      ctx.filter = `blur(${Math.max(Math.round(size / 8), 4)}px)`;
+      ctx.drawImage(snapshot, 0, 0);
+    } else {
+      // Shrink the face region and scale it back up without smoothing
+      const x = cx - size / 2;
+      const y = cy - size / 2;
+      if (!pixelCanvas) {
+        pixelCanvas = document.createElement('canvas');
+        pixelCanvas.width = PIXELATE_BLOCKS;
+        pixelCanvas.height = PIXELATE_BLOCKS;
+      }
+      const pixelCtx = pixelCanvas.getContext('2d');
+      pixelCtx.clearRect(0, 0, PIXELATE_BLOCKS, PIXELATE_BLOCKS);
+      pixelCtx.drawImage(snapshot, x, y, size, size, 0, 0, PIXELATE_BLOCKS, PIXELATE_BLOCKS);
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(pixelCanvas, x, y, size, size);
+    }
+
+    ctx.restore();
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers public/sw.js, which caches the app shell and models for offline
+ * use. Development builds skip it so hot reloading is never served stale
+ * files.
+ */
+
+const SCRIPT_URL = '/sw.js';
+
+/**
+ * Whether the service worker should run in this environment
+ */
+export const supportsServiceWorker = () =>
+  process.env.NODE_ENV === 'production' &&
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator;
+
+/**
+ * Hand the worker the assets this page loaded before it took control, so
+ * the first visit is enough to work offline
+ *
+ * @param {ServiceWorker} worker
+ */
+const reportLoadedAssets = (worker) => {
+  const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+  worker.postMessage({ type: 'cache-urls', urls });
+};
+
+/**
+ * Register the service worker
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with the waiting worker when
+ *   a new version is installed; pass it to activateUpdate() to switch
+ * @returns {Promise<ServiceWorkerRegistration|null>} Null when unsupported
+ */
+export const registerServiceWorker = async ({ onUpdate } = {}) => {
+  if (!supportsServiceWorker()) return null;
+
+  const registration = await navigator.serviceWorker.register(SCRIPT_URL);
+
+  const watch = (worker) => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'activated') reportLoadedAssets(worker);
+      // An installed worker with a controller already present is an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdate?.(worker);
+    });
+  };
+
+  if (registration.active) reportLoadedAssets(registration.active);
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate?.(registration.waiting);
+  if (registration.installing) watch(registration.installing);
+  registration.addEventListener('updatefound', () => watch(registration.installing));
+
+  return registration;
+};
+
+/**
+ * Activate a waiting worker and reload once it controls the page
+ *
+ * @param {ServiceWorker} worker - From onUpdate
+ */
+export const activateUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  worker.postMessage({ type: 'skip-waiting' });
+};
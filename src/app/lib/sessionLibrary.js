@@ -0,0 +1,187 @@
+/**
+ * Session Library
+ *
+ * Finished recordings and their landmark tracks, persisted in IndexedDB.
+ * Metadata and media live in separate stores so listing the library never
+ * has to read the video blobs.
+ */
+
+import { STORES, getAllRecords, getRecord, putRecord, deleteRecord } from './db';
+
+/**
+ * Summarize a landmark track for display in the library
+ *
+ * @param {Array} frames - Frames from a landmark track
+ * @returns {{ frames: number, faceFrames: number, maxFaces: number, people: number, averageScore: number|null }}
+ */
+export const summarizeDetections = (frames) => {
+  const trackIds = new Set();
+  let faceFrames = 0;
+  let maxFaces = 0;
+  let scoreTotal = 0;
+  let scoreCount = 0;
+
+  frames.forEach(frame => {
+    if (frame.faces.length > 0) faceFrames++;
+    maxFaces = Math.max(maxFaces, frame.faces.length);
+
+    frame.faces.forEach(face => {
+      if (face.trackId !== undefined) trackIds.add(face.trackId);
+      scoreTotal += face.score;
+      scoreCount++;
+    });
+  });
+
+  return {
+    frames: frames.length,
+    faceFrames,
+    maxFaces,
+    people: trackIds.size,
+    averageScore: scoreCount > 0 ? scoreTotal / scoreCount : null
+  };
+};
+
+/**
+ * Capture a small JPEG of a canvas for the library list
+ *
+ * @param {HTMLCanvasElement|HTMLVideoElement} source
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @param {number} [width=160]
+ * @returns {string|null} Data URL, or null when the source is empty
+ */
+export const createSessionThumbnail = (source, sourceWidth, sourceHeight, width = 160) => {
+  if (!sourceWidth || !sourceHeight) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(width * sourceHeight / sourceWidth);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
+
+/**
+ * List stored sessions, newest first
+ *
+ * @returns {Promise<Array>}
+ */
+export const listSessions = async () => {
+  const sessions = await getAllRecords(STORES.SESSIONS);
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Store a finished recording
+ *
+ * @param {Object} session
+ * @param {string} session.name - Base file name without extension
+ * @param {Blob} session.blob - Recorded video
+ * @param {number} session.duration - Length in milliseconds
+ * @param {string} session.device - Camera or source file description
+ * @param {Array} session.landmarkFrames - Frames from a landmark track
+ * @param {Array} [session.events] - Events from a session log
+ * @param {string|null} [session.thumbnail] - Data URL
+ * @returns {Promise<Object>} The stored metadata record
+ */
+export const saveSession = async ({ name, blob, duration, device, landmarkFrames, events = [], thumbnail = null }) => {
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    name,
+    type: blob.type,
+    size: blob.size,
+    duration,
+    device,
+    stats: summarizeDetections(landmarkFrames),
+    thumbnail,
+    createdAt: Date.now()
+  };
+
+  // Media first, so the list never shows a session whose video is missing
+  await putRecord(STORES.SESSION_MEDIA, { id, blob, landmarkFrames, events });
+  try {
+    await putRecord(STORES.SESSIONS, record);
+  } catch (err) {
+    // Don't leave media behind that no listed session points to
+    await deleteRecord(STORES.SESSION_MEDIA, id).catch(() => {});
+    throw err;
+  }
+  return record;
+};
+
+/**
+ * Load one session's metadata
+ *
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export const getSession = (id) => getRecord(STORES.SESSIONS, id);
+
+/**
+ * Load a session's video and landmark track
+ *
+ * @param {string} id
+ * @returns {Promise<{ blob: Blob, landmarkFrames: Array, events?: Array }|undefined>}
+ */
+export const getSessionMedia = (id) => getRecord(STORES.SESSION_MEDIA, id);
+
+/**
+ * Rename a stored session
+ *
+ * @param {string} id
+ * @param {string} name
+ */
+export const renameSession = async (id, name) => {
+  const record = await getRecord(STORES.SESSIONS, id);
+  if (!record) return;
+
+  await putRecord(STORES.SESSIONS, { ...record, name: name.trim() });
+};
+
+/**
+ * Remove a session and its media
+ *
+ * @param {string} id
+ */
+export const deleteSession = async (id) => {
+  await deleteRecord(STORES.SESSIONS, id);
+  await deleteRecord(STORES.SESSION_MEDIA, id);
+};
+
+/**
+ * Report how much origin storage is used and available
+ *
+ * Only reads whether storage is persistent; requestPersistentStorage()
+ * asks for it.
+ *
+ * @returns {Promise<{ usage: number, quota: number, persisted: boolean, canPersist: boolean }|null>}
+ *   null when the Storage API is unavailable
+ */
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted?.() ?? false
+  ]);
+
+  return { usage, quota, persisted, canPersist: typeof navigator.storage.persist === 'function' };
+};
+
+/**
+ * Ask the browser to keep the library from being evicted under storage
+ * pressure
+ *
+ * Some browsers prompt for this, so only call it from a user action.
+ *
+ * @returns {Promise<boolean>} Whether storage is now persistent
+ */
+export const requestPersistentStorage = async () => {
+  try {
+    return await navigator.storage?.persist?.() ?? false;
+  } catch (err) {
+    console.warn('Persistent storage request failed:', err);
+    return false;
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Session Event Log
+ *
+ * Timestamped events raised during a recording (blinks, alerts, markers,
+ * pauses, ...), aligned to the same timeline as the landmark track.
+ */
+
+export const SESSION_LOG_VERSION = 1;
+
+/**
+ * Create an in-memory event log
+ *
+ * @returns {{ add: Function, update: Function, getEvents: Function, clear: Function }}
+ */
+export const createSessionLog = () => {
+  let events = [];
+
+  return {
+    /**
+     * Append an event
+     *
+     * @param {Object} event - Must include `type`; `t` is milliseconds since recording start
+     */
+    add: (event) => {
+      events.push({ ...event, t: Math.round(event.t) });
+    },
+
+    /**
+     * Change fields of the events matching a predicate, e.g. to rename a marker
+     *
+     * @param {Function} match - Called with each event
+     * @param {Object} changes - Fields to overwrite
+     */
+    update: (match, changes) => {
+      events = events.map(event => (match(event) ? { ...event, ...changes } : event));
+    },
+    getEvents: () => events,
+    clear: () => {
+      events = [];
+    }
+  };
+};
+
+/**
+ * Serialize events as a JSON document
+ *
+ * @param {Array} events
+ * @returns {string}
+ */
+export const toEventJson = (events) => JSON.stringify({ v: SESSION_LOG_VERSION, events }, null, 2);
@@ -0,0 +1,294 @@
+/**
+ * Session Report
+ *
+ * Attention and presence metrics computed from a recording's landmark
+ * track, exportable as JSON or as a self-contained printable HTML page.
+ */
+
+export const SESSION_REPORT_VERSION = 1;
+
+// Face-center heatmap resolution
+const HEATMAP_COLUMNS = 16;
+const HEATMAP_ROWS = 12;
+
+// Upper bound on points in the faces-over-time series
+const MAX_TIMELINE_BUCKETS = 300;
+
+// A face within these angles counts as looking at the camera
+const FACING_MAX_YAW = 25;
+const FACING_MAX_PITCH = 20;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * How long each frame stands for: until the next frame, and the typical
+ * interval for the last one
+ */
+const frameDurations = (frames) => {
+  const intervals = frames.slice(1).map((frame, i) => frame.t - frames[i].t);
+  const typical = intervals.length > 0
+    ? [...intervals].sort((a, b) => a - b)[Math.floor(intervals.length / 2)]
+    : 0;
+  return frames.map((_, i) => intervals[i] ?? typical);
+};
+
+/**
+ * Compute the report for one session
+ *
+ * @param {Array} frames - Frames from a landmark track
+ * @param {Object} [meta]
+ * @param {string} [meta.name] - Session name
+ * @param {number} [meta.createdAt] - Epoch milliseconds
+ * @returns {Object} Report; see docs/session-report.md
+ */
+export const buildSessionReport = (frames, { name = '', createdAt = Date.now() } = {}) => {
+  const durations = frameDurations(frames);
+  const duration = frames.length > 0 ? frames[frames.length - 1].t - frames[0].t + durations[durations.length - 1] : 0;
+
+  let presentMs = 0;
+  let absenceMs = 0;
+  let longestAbsence = { start: null, duration: 0 };
+  let absenceStart = null;
+  let scoreTotal = 0;
+  let faceCount = 0;
+  let facingCount = 0;
+  let poseCount = 0;
+  const heatmap = Array.from({ length: HEATMAP_ROWS }, () => new Array(HEATMAP_COLUMNS).fill(0));
+  const people = new Map();
+
+  const bucketMs = Math.max(1000, Math.ceil(duration / MAX_TIMELINE_BUCKETS / 1000) * 1000);
+  const timeline = [];
+
+  frames.forEach((frame, i) => {
+    const frameMs = durations[i];
+    const present = frame.faces.length > 0;
+
+    if (present) {
+      presentMs += frameMs;
+      absenceStart = null;
+      absenceMs = 0;
+    } else {
+      absenceStart ??= frame.t;
+      absenceMs += frameMs;
+      if (absenceMs > longestAbsence.duration) {
+        longestAbsence = { start: absenceStart, duration: absenceMs };
+      }
+    }
+
+    const bucketIndex = Math.floor((frame.t - frames[0].t) / bucketMs);
+    timeline[bucketIndex] ??= { t: frames[0].t + bucketIndex * bucketMs, maxFaces: 0, presentMs: 0, totalMs: 0 };
+    const bucket = timeline[bucketIndex];
+    bucket.maxFaces = Math.max(bucket.maxFaces, frame.faces.length);
+    bucket.totalMs += frameMs;
+    if (present) bucket.presentMs += frameMs;
+
+    frame.faces.forEach(face => {
+      scoreTotal += face.score;
+      faceCount++;
+
+      if (face.pose) {
+        poseCount++;
+        if (Math.abs(face.pose.yaw) <= FACING_MAX_YAW && Math.abs(face.pose.pitch) <= FACING_MAX_PITCH) {
+          facingCount++;
+        }
+      }
+
+      const cx = (face.box.x + face.box.width / 2) / frame.width;
+      const cy = (face.box.y + face.box.height / 2) / frame.height;
+      const column = Math.min(Math.max(Math.floor(cx * HEATMAP_COLUMNS), 0), HEATMAP_COLUMNS - 1);
+      const row = Math.min(Math.max(Math.floor(cy * HEATMAP_ROWS), 0), HEATMAP_ROWS - 1);
+      heatmap[row][column] += frameMs;
+
+      if (face.trackId !== undefined) {
+        const person = people.get(face.trackId) ?? { trackId: face.trackId, label: null, firstSeen: frame.t, lastSeen: frame.t, visibleMs: 0 };
+        person.lastSeen = frame.t;
+        person.visibleMs += frameMs;
+        if (face.label) person.label = face.label;
+        people.set(face.trackId, person);
+      }
+    });
+  });
+
+  const heatmapMax = Math.max(0, ...heatmap.flat());
+
+  return {
+    v: SESSION_REPORT_VERSION,
+    name,
+    createdAt: new Date(createdAt).toISOString(),
+    duration: Math.round(duration),
+    frames: frames.length,
+    presence: duration > 0 ? round(presentMs / duration, 4) : 0,
+    longestAbsence: {
+      start: longestAbsence.start === null ? null : Math.round(longestAbsence.start),
+      duration: Math.round(longestAbsence.duration)
+    },
+    maxFaces: Math.max(0, ...frames.map(frame => frame.faces.length)),
+    averageConfidence: faceCount > 0 ? round(scoreTotal / faceCount, 3) : null,
+    facingCamera: poseCount > 0 ? round(facingCount / poseCount, 4) : null,
+    timeline: timeline.filter(Boolean).map(bucket => ({
+      t: Math.round(bucket.t),
+      maxFaces: bucket.maxFaces,
+      presence: bucket.totalMs > 0 ? round(bucket.presentMs / bucket.totalMs, 3) : 0
+    })),
+    heatmap: {
+      columns: HEATMAP_COLUMNS,
+      rows: HEATMAP_ROWS,
+      cells: heatmap.map(row => row.map(value => (heatmapMax > 0 ? round(value / heatmapMax, 3) : 0)))
+    },
+    people: [...people.values()]
+      .map(person => ({ ...person, visibleMs: Math.round(person.visibleMs) }))
+      .sort((a, b) => a.trackId - b.trackId)
+  };
+};
+
+/**
+ * Format milliseconds as m:ss
+ */
+export const formatReportTime = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+/**
+ * Faces-over-time chart as an SVG string
+ *
+ * Bars show presence per bucket; the line shows the most faces at once.
+ *
+ * @param {Object} report
+ * @param {number} [width=600] - viewBox width
+ * @param {number} [height=140] - viewBox height
+ * @returns {string}
+ */
+export const timelineSvg = (report, width = 600, height = 140) => {
+  const { timeline } = report;
+  if (timeline.length === 0) return '';
+
+  const maxFaces = Math.max(1, report.maxFaces);
+  const barWidth = width / timeline.length;
+  const y = (faces) => height - 16 - (faces / maxFaces) * (height - 24);
+
+  const bars = timeline.map((bucket, i) => {
+    const barHeight = bucket.presence * (height - 24);
+    return `<rect x="${(i * barWidth).toFixed(1)}" y="${(height - 16 - barHeight).toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#bfdbfe"/>`;
+  }).join('');
+  const line = timeline.map((bucket, i) => `${(i * barWidth + barWidth / 2).toFixed(1)},${y(bucket.maxFaces).toFixed(1)}`).join(' ');
+  const end = timeline[timeline.length - 1].t - timeline[0].t;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Faces over time">`
+    + bars
+    + `<polyline points="${line}" fill="none" stroke="#1d4ed8" stroke-width="2"/>`
+    + `<text x="0" y="10" font-size="10" fill="#6b7280">${maxFaces} face${maxFaces === 1 ? '' : 's'}</text>`
+    + `<text x="0" y="${height - 2}" font-size="10" fill="#6b7280">0:00</text>`
+    + `<text x="${width}" y="${height - 2}" font-size="10" fill="#6b7280" text-anchor="end">${formatReportTime(end)}</text>`
+    + '</svg>';
+};
+
+/**
+ * Face position heatmap as an SVG string
+ *
+ * Cells are square, so a 4:3 video maps onto the grid without distortion.
+ *
+ * @param {Object} report
+ * @param {number} [width=320] - viewBox width
+ * @returns {string}
+ */
+export const heatmapSvg = (report, width = 320) => {
+  const { columns, rows, cells } = report.heatmap;
+  const cell = width / columns;
+  const height = cell * rows;
+
+  const rects = cells.flatMap((row, r) => row.map((value, c) => value > 0
+    ? `<rect x="${(c * cell).toFixed(1)}" y="${(r * cell).toFixed(1)}" width="${cell.toFixed(1)}" height="${cell.toFixed(1)}" fill="#dc2626" fill-opacity="${(0.1 + value * 0.9).toFixed(2)}"/>`
+    : ''
+  )).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height.toFixed(1)}" width="100%" role="img" aria-label="Face position heatmap">`
+    + `<rect width="${width}" height="${height.toFixed(1)}" fill="#f3f4f6"/>`
+    + rects
+    + '</svg>';
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+/**
+ * Headline metrics as label/value pairs, shared by the UI and HTML export
+ *
+ * @param {Object} report
+ * @returns {Array<{ label: string, value: string }>}
+ */
+export const reportSummary = (report) => [
+  { label: 'Duration', value: formatReportTime(report.duration) },
+  { label: 'Face Present', value: percent(report.presence) },
+  { label: 'Facing Camera', value: percent(report.facingCamera) },
+  {
+    label: 'Longest Absence',
+    value: report.longestAbsence.duration > 0
+      ? `${formatReportTime(report.longestAbsence.duration)} at ${formatReportTime(report.longestAbsence.start)}`
+      : 'None'
+  },
+  { label: 'Most Faces at Once', value: String(report.maxFaces) },
+  { label: 'Avg. Confidence', value: report.averageConfidence === null ? '–' : report.averageConfidence.toFixed(2) }
+];
+
+/**
+ * Serialize a report as JSON
+ *
+ * @param {Object} report
+ * @returns {string}
+ */
+export const toReportJson = (report) => JSON.stringify(report, null, 2);
+
+/**
+ * Render a report as a standalone, printable HTML document
+ *
+ * @param {Object} report
+ * @returns {string}
+ */
+export const toReportHtml = (report) => {
+  const summary = reportSummary(report)
+    .map(({ label, value }) => `<div class="card"><div class="label">${label}</div><div class="value">${escapeHtml(value)}</div></div>`)
+    .join('');
+  const people = report.people
+    .map(person => `<tr><td>#${person.trackId}</td><td>${escapeHtml(person.label ?? '')}</td><td>${formatReportTime(person.visibleMs)}</td><td>${formatReportTime(person.firstSeen)}–${formatReportTime(person.lastSeen)}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session Report – ${escapeHtml(report.name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; }
+  .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.75rem; margin-top: 1.5rem; }
+  .card { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem; }
+  .label { color: #6b7280; font-size: 0.75rem; }
+  .value { font-size: 1.25rem; font-weight: 600; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+  th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  @media print { body { margin: 0; } .card { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Session Report</h1>
+<p class="meta">${escapeHtml(report.name)} · ${escapeHtml(new Date(report.createdAt).toLocaleString())}</p>
+<div class="cards">${summary}</div>
+<h2>Faces Over Time</h2>
+<p class="meta">Bars: share of time a face was present. Line: most faces at once.</p>
+${timelineSvg(report)}
+<h2>Face Position</h2>
+<p class="meta">Where face centers were in the frame, weighted by time.</p>
+<div style="max-width: 320px">${heatmapSvg(report)}</div>
+${people ? `<h2>People</h2><table><thead><tr><th>ID</th><th>Name</th><th>On Screen</th><th>Seen</th></tr></thead><tbody>${people}</tbody></table>` : ''}
+</body>
+</html>
+`;
+};
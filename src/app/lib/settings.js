@@ -0,0 +1,37 @@
+/**
+ * Persisted Settings
+ *
+ * Thin localStorage wrapper for user preferences. Reads never throw so a
+ * corrupt or blocked storage simply falls back to defaults.
+ */
+
+const STORAGE_PREFIX = 'facetracker.';
+
+/**
+ * Read a saved JSON value
+ *
+ * @param {string} key
+ * @param {*} fallback - Returned when nothing valid is stored
+ */
+export const loadSetting = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Save a JSON-serializable value
+ *
+ * @param {string} key
+ * @param {*} value
+ */
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error('Error saving setting:', err);
+  }
+};
@@ -0,0 +1,256 @@
+/**
+ * Temporal Smoothing
+ *
+ * Raw detections jitter by a few pixels from tick to tick even when the
+ * face is still. A One Euro filter per tracked face (Casiez et al., CHI
+ * 2012) removes that jitter while staying responsive: its cutoff frequency
+ * rises with speed, so slow movement is smoothed heavily and fast movement
+ * barely lags.
+ *
+ * The filter's velocity estimate also predicts where each face is between
+ * detection ticks, so the overlay can be redrawn at display frame rate.
+ *
+ * Redaction deliberately keeps using raw detections; smoothing lags behind
+ * fast movement and could uncover part of a face.
+ */
+
+import { estimateHeadPose } from './headPose';
+
+/**
+ * Which detections exports and callbacks receive
+ */
+export const EXPORT_SOURCES = {
+  RAW: 'raw',
+  SMOOTHED: 'smoothed'
+};
+
+/**
+ * Select options for the export source
+ */
+export const EXPORT_SOURCE_OPTIONS = [
+  { value: EXPORT_SOURCES.RAW, label: 'Raw detections' },
+  { value: EXPORT_SOURCES.SMOOTHED, label: 'Smoothed' }
+];
+
+/**
+ * Smoothing settings used when nothing has been saved
+ */
+export const DEFAULT_SMOOTHING_SETTINGS = {
+  enabled: true,
+  minCutoff: 1,
+  beta: 0.02,
+  predict: true,
+  exportSource: EXPORT_SOURCES.RAW
+};
+
+// Cutoff frequency for the velocity estimate, in Hz
+const DERIVATIVE_CUTOFF = 1;
+
+// Keep a lost face's filter this long, so a missed tick does not restart it
+const HOLD_MS = 500;
+
+// Never predict further ahead than this, even when ticks are far apart
+const MAX_PREDICTION_MS = 200;
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeSmoothingSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_SMOOTHING_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    enabled: Boolean(merged.enabled),
+    minCutoff: clamp(merged.minCutoff, 0.1, 10, DEFAULT_SMOOTHING_SETTINGS.minCutoff),
+    beta: clamp(merged.beta, 0, 0.2, DEFAULT_SMOOTHING_SETTINGS.beta),
+    predict: Boolean(merged.predict),
+    exportSource: Object.values(EXPORT_SOURCES).includes(merged.exportSource)
+      ? merged.exportSource
+      : DEFAULT_SMOOTHING_SETTINGS.exportSource
+  };
+};
+
+/**
+ * Smoothing factor of a first-order low-pass filter
+ *
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} dt - Seconds since the previous sample
+ */
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+/**
+ * Create a One Euro filter over a fixed-length vector of values
+ *
+ * Each value is filtered independently. `params` is read on every sample,
+ * so changing it retunes a running filter without losing its state.
+ *
+ * @param {Object} params
+ * @param {number} params.minCutoff - Cutoff at rest in Hz; lower removes more jitter
+ * @param {number} params.beta - Cutoff increase per unit/s of speed; higher lags less
+ * @returns {{ filter: Function, predict: Function }}
+ */
+export const createOneEuroFilter = (params) => {
+  let values = null;
+  let velocities = null;
+  let lastT = 0;
+
+  return {
+    /**
+     * Filter one sample
+     *
+     * @param {number[]} sample
+     * @param {number} t - Sample time in milliseconds
+     * @returns {number[]} Filtered values
+     */
+    filter: (sample, t) => {
+      const dt = (t - lastT) / 1000;
+      if (!values || values.length !== sample.length) {
+        values = sample.slice();
+        velocities = sample.map(() => 0);
+        lastT = t;
+        return values;
+      }
+      if (dt <= 0) return values;
+
+      const derivativeAlpha = smoothingFactor(DERIVATIVE_CUTOFF, dt);
+      sample.forEach((value, i) => {
+        const velocity = velocities[i] + derivativeAlpha * ((value - values[i]) / dt - velocities[i]);
+        const alpha = smoothingFactor(params.minCutoff + params.beta * Math.abs(velocity), dt);
+        velocities[i] = velocity;
+        values[i] += alpha * (value - values[i]);
+      });
+      lastT = t;
+      return values;
+    },
+
+    /**
+     * Extrapolate the filtered values along their velocity
+     *
+     * @param {number} t - Milliseconds on the same clock as filter()
+     * @param {number} maxLeadMs - Furthest to look ahead of the last sample
+     * @returns {number[]|null} Null before the first sample
+     */
+    predict: (t, maxLeadMs) => {
+      if (!values) return null;
+      const lead = Math.min(Math.max(t - lastT, 0), maxLeadMs) / 1000;
+      return values.map((value, i) => value + velocities[i] * lead);
+    }
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Flatten a face's box and landmarks into one vector
+ */
+const toVector = (face) => [
+  face.box.x, face.box.y, face.box.width, face.box.height,
+  ...face.landmarks.flat()
+];
+
+/**
+ * Rebuild a face record from a filtered vector
+ *
+ * Head pose is refitted to the smoothed landmarks so the gizmo settles too.
+ */
+const fromVector = (face, vector) => {
+  const landmarks = face.landmarks.map((_, i) => [round(vector[4 + i * 2]), round(vector[5 + i * 2])]);
+  const pose = face.pose && estimateHeadPose(landmarks);
+
+  return {
+    ...face,
+    box: {
+      x: round(vector[0]),
+      y: round(vector[1]),
+      width: round(vector[2]),
+      height: round(vector[3])
+    },
+    landmarks,
+    ...(pose && { pose })
+  };
+};
+
+/**
+ * Smooth live detections per tracked face
+ *
+ * @param {Object} params
+ * @param {number} params.minCutoff - See createOneEuroFilter
+ * @param {number} params.beta - See createOneEuroFilter
+ * @returns {{ update: Function, facesAt: Function, configure: Function, reset: Function }}
+ */
+export const createFaceSmoother = ({ minCutoff, beta }) => {
+  // Shared by every face's filter, so configure() applies to all of them
+  const params = { minCutoff, beta };
+  // Filter state per face, keyed by track ID (or index when untracked)
+  let tracks = new Map();
+  let current = [];
+  let interval = 0;
+  let lastT = null;
+
+  return {
+    /**
+     * Filter one detection tick
+     *
+     * @param {Array} faces - Face records
+     * @param {number} t - Capture time in milliseconds
+     * @returns {Array} Smoothed face records, in the same order
+     */
+    update: (faces, t) => {
+      interval = lastT === null ? 0 : t - lastT;
+      lastT = t;
+
+      current = faces.map((face, index) => {
+        const key = face.trackId ?? `index-${index}`;
+        const track = tracks.get(key) ?? { filter: createOneEuroFilter(params) };
+        track.seenAt = t;
+        tracks.set(key, track);
+        return { key, face: fromVector(face, track.filter.filter(toVector(face), t)) };
+      });
+
+      tracks.forEach((track, key) => {
+        if (t - track.seenAt > HOLD_MS) tracks.delete(key);
+      });
+
+      return current.map(({ face }) => face);
+    },
+
+    /**
+     * Faces of the latest tick, moved along their velocity to time `t`
+     *
+     * Prediction covers at most one detection interval; after that the
+     * faces stay where they were predicted to be.
+     *
+     * @param {number} t - Milliseconds on the same clock as update()
+     * @returns {Array} Face records
+     */
+    facesAt: (t) => current.map(({ key, face }) => {
+      const track = tracks.get(key);
+      const vector = track?.filter.predict(t, Math.min(interval, MAX_PREDICTION_MS));
+      return vector ? fromVector(face, vector) : face;
+    }),
+
+    /**
+     * Retune the filters of every face
+     *
+     * @param {{ minCutoff: number, beta: number }} options
+     */
+    configure: (options) => {
+      params.minCutoff = options.minCutoff;
+      params.beta = options.beta;
+    },
+
+    reset: () => {
+      tracks = new Map();
+      current = [];
+      interval = 0;
+      lastT = null;
+    }
+  };
+};
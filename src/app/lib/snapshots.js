@@ -0,0 +1,307 @@
+/**
+ * Snapshots
+ *
+ * Still captures of the live camera: a full frame, optionally with the
+ * detection overlay, plus one aligned crop per face. Crops are rotated so
+ * the eyes are level and scaled so they sit at fixed positions, which is
+ * what badge photos and recognition datasets expect.
+ *
+ * Burst mode takes several shots and keeps the best one, judged either by
+ * sharpness (variance of the Laplacian) or by how squarely the main face
+ * looks at the camera.
+ */
+
+import { drawRedactions, REDACTION_STYLES } from './redaction';
+
+/**
+ * Image formats for snapshot files
+ */
+export const SNAPSHOT_FORMATS = [
+  { value: 'image/png', label: 'PNG', extension: 'png' },
+  { value: 'image/jpeg', label: 'JPEG', extension: 'jpg' }
+];
+
+/**
+ * How a burst chooses the shot it keeps
+ */
+export const BURST_PICKS = {
+  SHARPEST: 'sharpest',
+  FRONTAL: 'frontal'
+};
+
+/**
+ * Select options for the burst pick
+ */
+export const BURST_PICK_OPTIONS = [
+  { value: BURST_PICKS.SHARPEST, label: 'Sharpest' },
+  { value: BURST_PICKS.FRONTAL, label: 'Most Frontal' }
+];
+
+/**
+ * Snapshot settings used when nothing has been saved
+ */
+export const DEFAULT_SNAPSHOT_SETTINGS = {
+  format: 'image/png',
+  includeOverlay: false,
+  cropFaces: true,
+  cropSize: 256,
+  burstCount: 1,
+  burstIntervalMs: 200,
+  burstPick: BURST_PICKS.SHARPEST
+};
+
+// JPEG quality for snapshot files
+const JPEG_QUALITY = 0.92;
+
+// Where the eye centers land in an aligned crop, as fractions of its size
+const CROP_EYE_Y = 0.4;
+const CROP_EYE_DISTANCE = 0.3;
+
+// Width the sharpness measure works at; bigger gains little and costs a lot
+const SHARPNESS_WIDTH = 160;
+
+/**
+ * Clamp untrusted settings (e.g. from localStorage) to supported values
+ *
+ * @param {Object} settings
+ * @returns {Object} Complete, valid settings
+ */
+export const sanitizeSnapshotSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_SNAPSHOT_SETTINGS, ...settings };
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(Number(value)) ? Math.min(Math.max(Number(value), min), max) : fallback;
+
+  return {
+    format: SNAPSHOT_FORMATS.some(option => option.value === merged.format)
+      ? merged.format
+      : DEFAULT_SNAPSHOT_SETTINGS.format,
+    includeOverlay: Boolean(merged.includeOverlay),
+    cropFaces: Boolean(merged.cropFaces),
+    cropSize: Math.round(clamp(merged.cropSize, 64, 1024, DEFAULT_SNAPSHOT_SETTINGS.cropSize)),
+    burstCount: Math.round(clamp(merged.burstCount, 1, 20, DEFAULT_SNAPSHOT_SETTINGS.burstCount)),
+    burstIntervalMs: clamp(merged.burstIntervalMs, 50, 2000, DEFAULT_SNAPSHOT_SETTINGS.burstIntervalMs),
+    burstPick: Object.values(BURST_PICKS).includes(merged.burstPick)
+      ? merged.burstPick
+      : DEFAULT_SNAPSHOT_SETTINGS.burstPick
+  };
+};
+
+/**
+ * Copy an image source into a new canvas
+ *
+ * Used for the camera frame at its native resolution, and for the overlay,
+ * which is redrawn on every detection tick.
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement} source
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+export const copyImage = (source, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Build the full-frame snapshot from a clean camera frame
+ *
+ * @param {HTMLCanvasElement} frame - Camera frame without overlay
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.overlay] - Detection overlay, scaled over the frame
+ * @param {Function} [options.onVideoFrame] - Called with the 2D context before the
+ *   overlay is drawn, e.g. to redact faces
+ * @returns {HTMLCanvasElement}
+ */
+export const composeSnapshot = (frame, { overlay, onVideoFrame } = {}) => {
+  const canvas = copyImage(frame, frame.width, frame.height);
+  const ctx = canvas.getContext('2d');
+
+  onVideoFrame?.(ctx);
+  if (overlay) {
+    ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+  }
+
+  return canvas;
+};
+
+/**
+ * Grab the camera frame, faces and optionally the overlay as they are now
+ *
+ * @param {Object} sources
+ * @param {HTMLVideoElement|HTMLCanvasElement} sources.video - Live camera element, or
+ *   a canvas showing it such as the auto-framing virtual camera
+ * @param {HTMLCanvasElement|null} [sources.overlay] - Overlay to keep, if any
+ * @param {Array} sources.faces - Face records in the pixels of `video`
+ * @returns {{ frame: HTMLCanvasElement, overlay: HTMLCanvasElement|null, faces: Array, face: Object|null }}
+ *   `face` is the largest face, used to judge burst shots
+ */
+export const grabShot = ({ video, overlay = null, faces }) => ({
+  frame: copyImage(video, video.videoWidth ?? video.width, video.videoHeight ?? video.height),
+  overlay: overlay ? copyImage(overlay, overlay.width, overlay.height) : null,
+  faces,
+  face: faces.reduce((largest, face) =>
+    !largest || face.box.width * face.box.height > largest.box.width * largest.box.height
+      ? face
+      : largest
+  , null)
+});
+
+/**
+ * Whether redaction settings hide a face
+ *
+ * @param {Object} face
+ * @param {Object} redaction - Redaction settings
+ * @param {Set<number>} [exemptTrackIds]
+ * @returns {boolean}
+ */
+export const isRedacted = (face, redaction, exemptTrackIds) =>
+  redaction.style !== REDACTION_STYLES.OFF
+    && !(face.trackId !== undefined && exemptTrackIds?.has(face.trackId));
+
+/**
+ * Build the full-frame image for a shot, redacted like recordings are
+ *
+ * @param {Object} shot - From grabShot
+ * @param {Object} redaction - Redaction settings
+ * @param {Set<number>} [exemptTrackIds]
+ * @returns {HTMLCanvasElement}
+ */
+export const renderShot = (shot, redaction, exemptTrackIds) => composeSnapshot(shot.frame, {
+  overlay: shot.overlay,
+  onVideoFrame: (ctx) => drawRedactions(ctx, shot.faces, {
+    ...redaction,
+    sourceSize: { width: shot.frame.width, height: shot.frame.height },
+    exemptTrackIds
+  })
+});
+
+const mean = (points) => [
+  points.reduce((sum, [x]) => sum + x, 0) / points.length,
+  points.reduce((sum, [, y]) => sum + y, 0) / points.length
+];
+
+/**
+ * Crop one face, rotated so the eyes are level
+ *
+ * Without 68-point landmarks the crop falls back to a square around the
+ * detection box, unrotated.
+ *
+ * @param {HTMLCanvasElement|HTMLVideoElement} source - Frame at the size the face was measured in
+ * @param {Object} face - Face record with `box` and `landmarks`
+ * @param {number} [size=256] - Output width and height
+ * @returns {HTMLCanvasElement}
+ */
+export const alignedFaceCrop = (source, face, size = DEFAULT_SNAPSHOT_SETTINGS.cropSize) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+
+  if (face.landmarks.length === 68) {
+    const [lx, ly] = mean(face.landmarks.slice(36, 42));
+    const [rx, ry] = mean(face.landmarks.slice(42, 48));
+    const distance = Math.hypot(rx - lx, ry - ly) || 1;
+    const scale = (size * CROP_EYE_DISTANCE) / distance;
+
+    ctx.translate(size / 2, size * CROP_EYE_Y);
+    ctx.rotate(-Math.atan2(ry - ly, rx - lx));
+    ctx.scale(scale, scale);
+    ctx.translate(-(lx + rx) / 2, -(ly + ry) / 2);
+    ctx.drawImage(source, 0, 0);
+  } else {
+    const { box } = face;
+    const side = Math.max(box.width, box.height) * 1.4;
+    const x = box.x + box.width / 2 - side / 2;
+    const y = box.y + box.height / 2 - side / 2;
+    ctx.drawImage(source, x, y, side, side, 0, 0, size, size);
+  }
+
+  return canvas;
+};
+
+/**
+ * Sharpness as the variance of the Laplacian of a grayscale copy
+ *
+ * Only comparable between images of the same scene and size.
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {{ x: number, y: number, width: number, height: number }} [region] - Area to
+ *   measure, e.g. the main face; defaults to the whole image
+ * @returns {number}
+ */
+export const measureSharpness = (source, region = { x: 0, y: 0, width: source.width, height: source.height }) => {
+  const width = Math.min(SHARPNESS_WIDTH, Math.round(region.width));
+  const height = Math.max(Math.round(width * region.height / region.width), 3);
+  if (width < 3) return 0;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  return count > 0 ? sumSquares / count - (sum / count) ** 2 : 0;
+};
+
+/**
+ * Score a shot for burst selection; higher is better
+ *
+ * @param {Object} shot
+ * @param {HTMLCanvasElement} shot.frame - Frame without overlay
+ * @param {Object|null} shot.face - Main face record, if any
+ * @param {string} pick - One of BURST_PICKS
+ * @returns {number}
+ */
+export const scoreShot = ({ frame, face }, pick) => {
+  if (pick === BURST_PICKS.FRONTAL) {
+    // Shots without a pose lose to any shot with one
+    return face?.pose ? -(Math.abs(face.pose.yaw) + Math.abs(face.pose.pitch)) : -Infinity;
+  }
+  return measureSharpness(frame, face?.box);
+};
+
+/**
+ * Encode a canvas as an image file
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} format - One of SNAPSHOT_FORMATS values
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, format) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode snapshot'))),
+    format,
+    JPEG_QUALITY
+  );
+});
+
+/**
+ * File extension for a snapshot format
+ *
+ * @param {string} format
+ * @returns {string}
+ */
+export const extensionForFormat = (format) =>
+  SNAPSHOT_FORMATS.find(option => option.value === format)?.extension ?? 'png';
@@ -0,0 +1,141 @@
+/**
+ * Face Tracker
+ *
+ * Links detections across frames so each person keeps the same ID.
+ * Candidates are scored by box overlap (IoU) against each track's
+ * motion-predicted box and by mean landmark distance, then matched
+ * greedily. Tracks that miss detections are kept alive for a grace period
+ * so short occlusions do not produce new IDs.
+ */
+
+/**
+ * Intersection over union of two boxes
+ */
+export const boxIou = (a, b) => {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+
+  return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Mean landmark distance, normalized by the face box diagonal
+ *
+ * @param {number[][]} a - Landmarks of the track, already shifted by predicted motion
+ * @param {number[][]} b - Landmarks of the candidate face
+ * @param {Object} box - Candidate face box
+ */
+const landmarkDistance = (a, b, box) => {
+  const diagonal = Math.hypot(box.width, box.height) || 1;
+  const total = a.reduce((sum, [x, y], i) => sum + Math.hypot(x - b[i][0], y - b[i][1]), 0);
+  return total / a.length / diagonal;
+};
+
+/**
+ * Create a tracker that assigns persistent IDs to face records
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs=1500] - How long an unseen track survives
+ * @param {number} [options.minIou=0.2] - Minimum overlap for a match
+ * @param {number} [options.maxLandmarkDistance=0.35] - Landmark distance that still matches without overlap
+ * @returns {{ update: Function, reset: Function }}
+ */
+export const createFaceTracker = ({
+  maxAgeMs = 1500,
+  minIou = 0.2,
+  maxLandmarkDistance = 0.35
+} = {}) => {
+  let nextId = 1;
+  let tracks = [];
+
+  /**
+   * Box position of a track extrapolated to time `t`
+   */
+  const predictBox = (track, t) => {
+    const dt = t - track.lastSeen;
+    return {
+      ...track.box,
+      x: track.box.x + track.velocity.x * dt,
+      y: track.box.y + track.velocity.y * dt
+    };
+  };
+
+  return {
+    /**
+     * Match a frame of faces against live tracks
+     *
+     * @param {Array} faces - Face records for one detection tick
+     * @param {number} t - Tick time in milliseconds
+     * @returns {Array} The same faces with `trackId` set
+     */
+    update: (faces, t) => {
+      // Drop tracks that have been unseen for too long
+      tracks = tracks.filter(track => t - track.lastSeen <= maxAgeMs);
+
+      // Score every track/face pair that is plausibly the same person
+      const candidates = [];
+      tracks.forEach(track => {
+        const predicted = predictBox(track, t);
+        const dx = predicted.x - track.box.x;
+        const dy = predicted.y - track.box.y;
+        const shifted = track.landmarks.map(([x, y]) => [x + dx, y + dy]);
+
+        faces.forEach((face, faceIndex) => {
+          const overlap = boxIou(predicted, face.box);
+          const distance = landmarkDistance(shifted, face.landmarks, face.box);
+          if (overlap >= minIou || distance <= maxLandmarkDistance) {
+            candidates.push({ track, faceIndex, cost: (1 - overlap) + distance });
+          }
+        });
+      });
+
+      candidates.sort((a, b) => a.cost - b.cost);
+
+      const assigned = new Map();
+      const matchedTracks = new Set();
+      candidates.forEach(({ track, faceIndex }) => {
+        if (assigned.has(faceIndex) || matchedTracks.has(track)) return;
+        assigned.set(faceIndex, track);
+        matchedTracks.add(track);
+      });
+
+      const tracked = faces.map((face, faceIndex) => {
+        let track = assigned.get(faceIndex);
+
+        if (track) {
+          const dt = t - track.lastSeen;
+          if (dt > 0) {
+            // Blend new motion with the previous estimate to damp detector noise
+            track.velocity = {
+              x: (track.velocity.x + (face.box.x - track.box.x) / dt) / 2,
+              y: (track.velocity.y + (face.box.y - track.box.y) / dt) / 2
+            };
+          }
+        } else {
+          track = {
+            id: nextId++,
+            velocity: { x: 0, y: 0 }
+          };
+          tracks.push(track);
+        }
+
+        track.box = face.box;
+        track.landmarks = face.landmarks;
+        track.lastSeen = t;
+
+        return { ...face, trackId: track.id };
+      });
+
+      return tracked;
+    },
+
+    reset: () => {
+      nextId = 1;
+      tracks = [];
+    }
+  };
+};
@@ -0,0 +1,26 @@
+/**
+ * Web App Manifest
+ *
+ * Served by Next.js at /manifest.webmanifest and linked from every page,
+ * making the app installable. Offline support comes from public/sw.js.
+ */
+export default function manifest() {
+  return {
+    name: 'FaceTracker AI',
+    short_name: 'FaceTracker',
+    description: 'Real-time face detection, landmark tracking and recording, entirely in the browser.',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: '#eef2ff',
+    theme_color: '#4f46e5',
+    icons: [
+      {
+        src: '/icons/icon.svg',
+        sizes: 'any',
+        type: 'image/svg+xml',
+        purpose: 'any'
+      }
+    ]
+  };
+}
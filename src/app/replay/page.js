@@ -0,0 +1,30 @@
+import ReplayViewer from '../components/ReplayViewer';
+import { Navbar } from '../components/Navbar';
+import Footer from '../components/Footer';
+
+export const metadata = {
+  title: "Replay · AI Face Tracker"
+};
+
+/**
+ * Replay Page Component
+ *
+ * Plays a recording with its overlay redrawn from saved detections.
+ * `/replay?session=<id>` opens a session from the library; without it the
+ * page asks for a video and its landmark export.
+ */
+export default async function ReplayPage({ searchParams }) {
+  const { session } = await searchParams;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <Navbar/>
+
+      <main className="relative pb-16">
+        <ReplayViewer key={session ?? 'files'} sessionId={session} />
+      </main>
+
+      <Footer/>
+    </div>
+  );
+}
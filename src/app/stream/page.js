@@ -0,0 +1,27 @@
+import StreamListener from '../components/StreamListener';
+import { Navbar } from '../components/Navbar';
+import Footer from '../components/Footer';
+
+export const metadata = {
+  title: "Stream Listener · AI Face Tracker"
+};
+
+/**
+ * Stream Page Component
+ *
+ * Reference listener for the live detection stream, for checking what the
+ * tracker publishes from another tab.
+ */
+export default function StreamPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <Navbar/>
+
+      <main className="relative pb-16">
+        <StreamListener />
+      </main>
+
+      <Footer/>
+    </div>
+  );
+}
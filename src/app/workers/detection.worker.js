@@ -0,0 +1,83 @@
+/**
+ * Detection Worker
+ *
+ * Runs the face-api pipeline off the main thread. Frames arrive as
+ * ImageBitmaps, are drawn into an OffscreenCanvas and detected there;
+ * serialized face records are posted back. See lib/detectionBackend.js for
+ * the main-thread side of the protocol.
+ */
+
+import * as faceapi from 'face-api.js';
+import { loadFaceModels, loadOptionalModel, detectFaces } from '../lib/detection';
+import { serializeFace } from '../lib/landmarkExport';
+
+// face-api type-checks inputs against these; frames only ever come in as canvases
+class WorkerImage {}
+class WorkerVideo {}
+
+faceapi.env.setEnv({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: WorkerImage,
+  ImageData,
+  Video: WorkerVideo,
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => {
+    throw new Error('createImageElement - images are not available in the detection worker');
+  },
+  fetch: (...args) => fetch(...args),
+  readFile: () => {
+    throw new Error('readFile - filesystem not available in the detection worker');
+  }
+});
+
+const canvas = new OffscreenCanvas(1, 1);
+const ctx = canvas.getContext('2d');
+
+/**
+ * Load the base models plus every enabled optional layer
+ */
+const configure = async ({ settings, layers, modelUrl }) => {
+  await loadFaceModels(settings, modelUrl);
+  await Promise.all(
+    Object.entries(layers)
+      .filter(([, enabled]) => enabled)
+      .map(([key]) => loadOptionalModel(key, modelUrl))
+  );
+};
+
+/**
+ * Detect faces in one frame and release the bitmap
+ */
+const detect = async ({ bitmap, options }) => {
+  if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const start = performance.now();
+  const results = await detectFaces(canvas, options);
+
+  return {
+    faces: results.map(serializeFace),
+    descriptors: results.map(result => result.descriptor ?? null),
+    latency: performance.now() - start
+  };
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    if (type === 'configure') {
+      await configure(data);
+      self.postMessage({ id, type: 'configured' });
+    } else if (type === 'detect') {
+      self.postMessage({ id, type: 'result', ...(await detect(data)) });
+    }
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};